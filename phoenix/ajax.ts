@@ -1,118 +1,118 @@
-import { global as globalNoIE, XHR_STATES } from "./constants";
-import type { Global, ParsedJSON, SerializableObject } from "./constants";
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import type { ParsedJSON, SerializableObject } from "./constants";
 
-export type AjaxRequest = XMLHttpRequest | XDomainRequest;
-export type AjaxRequestCallback = (response?: ParsedJSON) => void;
-export type RequestMethod = "GET" | "POST" | "PUT" | "DELETE";
+/**
+ * The HTTP status, headers and raw body of a response. The status is 0
+ * when the request failed without a response.
+ */
+export type AjaxResponse = {
+  status: number;
+  headers: Headers | null;
+  body: string;
+};
 
-// IE8, IE9
-export interface XDomainRequest {
-  new (): XDomainRequest;
-  abort(): () => void;
-  timeout: number;
-  onload: () => void;
-  onerror: () => void;
-  onprogress: () => void;
-  ontimeout: () => void;
-  responseType: string;
-  responseText: string;
-  open(method: string, url: string): void;
-  send(data?: Document | XMLHttpRequestBodyInit | null): void;
-}
+export type AjaxRequestCallback = (
+  response?: ParsedJSON,
+  http?: AjaxResponse,
+) => void;
+export type RequestMethod = "GET" | "POST" | "PUT" | "DELETE";
 
-// IE8, IE9
-const global = globalNoIE as Global & {
-  XDomainRequest?: XDomainRequest;
+/**
+ * - `signal` - aborts the request
+ * - `scheduler` - schedules the timeout. Defaults to the global timers
+ * - `headers` - sent along the `Content-Type`
+ * - `credentials` - the `fetch` credentials mode, ie `"include"` to send
+ *   cookies cross-origin
+ */
+export type AjaxOptions = {
+  signal?: AbortSignal;
+  scheduler?: Scheduler;
+  headers?: Record<string, string>;
+  credentials?: RequestCredentials;
 };
 
+/**
+ * An in-flight request, cancelled with `abort()`.
+ */
+export interface AjaxRequest {
+  abort(): void;
+}
+
 export default class Ajax {
+  /**
+   * Makes a `fetch` request, calling back with the parsed JSON body, or
+   * `null` when the request failed or the body is not JSON, and the HTTP
+   * response.
+   *
+   * The request is aborted after `timeout` milliseconds, calling
+   * `ontimeout`, or when `opts.signal` aborts. Aborted requests are not
+   * called back. Errors thrown by `callback` are rethrown on the
+   * `scheduler`.
+   */
   static request(
     method: RequestMethod,
     endPoint: string,
     accept: string,
-    body: Document | XMLHttpRequestBodyInit | null,
+    body: BodyInit | null,
     timeout: number,
     ontimeout: () => void,
     callback: AjaxRequestCallback,
+    opts: AjaxOptions = {},
   ): AjaxRequest {
-    if (global.XDomainRequest) {
-      let req = new global.XDomainRequest(); // IE8, IE9
-      return this.xdomainRequest(
-        req,
-        method,
-        endPoint,
-        body,
-        timeout,
-        ontimeout,
-        callback,
-      );
-    } else {
-      let req = new self.XMLHttpRequest(); // IE7+, Firefox, Chrome, Opera, Safari
-      return this.xhrRequest(
-        req,
-        method,
-        endPoint,
-        accept,
-        body,
-        timeout,
-        ontimeout,
-        callback,
-      );
-    }
-  }
-
-  static xdomainRequest(
-    req: XDomainRequest,
-    method: RequestMethod,
-    endPoint: string,
-    body: Document | XMLHttpRequestBodyInit | null,
-    timeout: number,
-    ontimeout: () => void,
-    callback: AjaxRequestCallback,
-  ): XDomainRequest {
-    req.timeout = timeout;
-    req.open(method, endPoint);
-    req.onload = () => {
-      let response = this.parseJSON(req.responseText);
-      callback(response);
+    let { signal, scheduler = defaultScheduler } = opts;
+    let controller = new AbortController();
+    let abort = () => {
+      scheduler.clearTimeout(timer);
+      controller.abort();
     };
-    if (ontimeout) {
-      req.ontimeout = ontimeout;
+    let timer = scheduler.setTimeout(() => {
+      abort();
+      ontimeout && ontimeout();
+    }, timeout);
+    if (signal && signal.aborted) {
+      abort();
+    } else if (signal) {
+      signal.addEventListener("abort", abort, { once: true });
     }
-
-    // Work around bug in IE9 that requires an attached onprogress handler
-    req.onprogress = () => {};
-
-    req.send(body);
-    return req;
-  }
-
-  static xhrRequest(
-    req: XMLHttpRequest,
-    method: RequestMethod,
-    endPoint: string,
-    accept: string,
-    body: Document | XMLHttpRequestBodyInit | null,
-    timeout: number,
-    ontimeout: () => void,
-    callback: AjaxRequestCallback,
-  ): XMLHttpRequest {
-    req.open(method, endPoint, true);
-    req.timeout = timeout;
-    req.setRequestHeader("Content-Type", accept);
-    req.onerror = () => callback(null);
-    req.onreadystatechange = () => {
-      if (req.readyState === XHR_STATES.complete && callback) {
-        let response = this.parseJSON(req.responseText);
-        callback(response);
-      }
+    let done = () => {
+      scheduler.clearTimeout(timer);
+      signal && signal.removeEventListener("abort", abort);
     };
-    if (ontimeout) {
-      req.ontimeout = ontimeout;
-    }
-
-    req.send(body);
-    return req;
+    fetch(endPoint, {
+      method,
+      headers: { ...opts.headers, "Content-Type": accept },
+      body,
+      credentials: opts.credentials,
+      signal: controller.signal,
+    })
+      .then((resp) =>
+        resp.text().then((text) => ({
+          status: resp.status,
+          headers: resp.headers,
+          body: text,
+        })),
+      )
+      .then(
+        (http) => {
+          done();
+          callback(this.parseJSON(http.body), http);
+        },
+        () => {
+          done();
+          if (!controller.signal.aborted) {
+            callback(null, { status: 0, headers: null, body: "" });
+          }
+        },
+      )
+      // errors thrown by the callback are rethrown in a task of their own,
+      // as from an event handler, instead of being unhandled rejections
+      .catch((error) =>
+        scheduler.setTimeout(() => {
+          throw error;
+        }, 0),
+      );
+    return { abort };
   }
 
   static parseJSON(resp: string): ParsedJSON {
@@ -0,0 +1,106 @@
+/**
+ * Calculates retry delays for a `Timer`.
+ *
+ * `delay` returns the milliseconds to wait before attempt `tries`, given the
+ * previous delay, or `null` to give up retrying.
+ *
+ * While `resetAfterMs` is set, a `Timer.reset()` only resets the tries once
+ * that many milliseconds pass without a retry being scheduled, so a
+ * connection that keeps dropping right after opening keeps backing off.
+ */
+export interface BackoffPolicy {
+  delay(tries: number, previousDelay: number | null): number | null;
+  resetAfterMs?: number;
+  onGiveUp?: (tries: number) => void;
+}
+
+export type BackoffStrategy =
+  "exponential" | "full-jitter" | "decorrelated-jitter";
+
+export type BackoffOptions = {
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  factor?: number;
+  maxAttempts?: number;
+  resetAfterMs?: number;
+  onGiveUp?: (tries: number) => void;
+  random?: () => number;
+};
+
+export let isBackoffPolicy = (value: unknown): value is BackoffPolicy =>
+  !!value &&
+  typeof value === "object" &&
+  typeof (value as BackoffPolicy).delay === "function";
+
+/**
+ * Built-in backoff policies, for `reconnectAfterMs`, `rejoinAfterMs`
+ * or a `Timer`:
+ *
+ * - `exponential` - `baseDelayMs * factor ** (tries - 1)`
+ * - `fullJitter` - a random delay between 0 and the exponential delay
+ * - `decorrelatedJitter` - a random delay between `baseDelayMs` and three
+ *   times the previous delay
+ *
+ * Every delay is capped at `maxDelayMs`, and `onGiveUp` is called instead
+ * of scheduling attempt `maxAttempts + 1`.
+ *
+ * @example
+ * new Socket("/socket", {
+ *   reconnectAfterMs: Backoff.fullJitter({maxDelayMs: 30000, resetAfterMs: 60000}),
+ *   rejoinAfterMs: Backoff.decorrelatedJitter({maxAttempts: 10, onGiveUp: () => alert("offline")})
+ * })
+ */
+export default class Backoff implements BackoffPolicy {
+  strategy: BackoffStrategy;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  factor: number;
+  maxAttempts: number;
+  resetAfterMs?: number;
+  onGiveUp?: (tries: number) => void;
+  random: () => number;
+
+  static exponential(opts: BackoffOptions = {}) {
+    return new Backoff("exponential", opts);
+  }
+
+  static fullJitter(opts: BackoffOptions = {}) {
+    return new Backoff("full-jitter", opts);
+  }
+
+  static decorrelatedJitter(opts: BackoffOptions = {}) {
+    return new Backoff("decorrelated-jitter", opts);
+  }
+
+  constructor(strategy: BackoffStrategy, opts: BackoffOptions = {}) {
+    this.strategy = strategy;
+    this.baseDelayMs = opts.baseDelayMs || 1000;
+    this.maxDelayMs = opts.maxDelayMs || 30000;
+    this.factor = opts.factor || 2;
+    this.maxAttempts = opts.maxAttempts || Infinity;
+    this.resetAfterMs = opts.resetAfterMs;
+    this.onGiveUp = opts.onGiveUp;
+    this.random = opts.random || Math.random;
+  }
+
+  delay(tries: number, previousDelay: number | null): number | null {
+    if (tries > this.maxAttempts) {
+      return null;
+    }
+    let exponential = this.baseDelayMs * Math.pow(this.factor, tries - 1);
+    switch (this.strategy) {
+      case "full-jitter":
+        return Math.floor(
+          this.random() * Math.min(this.maxDelayMs, exponential),
+        );
+      case "decorrelated-jitter": {
+        let upper = (previousDelay || this.baseDelayMs) * 3;
+        let delay =
+          this.baseDelayMs + this.random() * (upper - this.baseDelayMs);
+        return Math.floor(Math.min(this.maxDelayMs, delay));
+      }
+      default:
+        return Math.min(this.maxDelayMs, exponential);
+    }
+  }
+}
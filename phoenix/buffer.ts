@@ -0,0 +1,162 @@
+export type OverflowPolicy = "drop-oldest" | "drop-newest" | "reject";
+
+export type BufferUsage = {
+  topic: string | null;
+  messages: number;
+  bytes: number;
+  maxMessages: number;
+  maxBytes: number;
+};
+
+export type BufferOverflow = {
+  topic: string;
+  event: string;
+  bytes: number;
+  usage: BufferUsage;
+};
+
+/**
+ * Limits for `Socket.sendBuffer` or each `Channel.pushBuffer`.
+ *
+ * - `maxMessages` - the most messages held. Defaults to `Infinity`
+ * - `maxBytes` - the most encoded bytes held. Defaults to `Infinity`
+ * - `overflow` - the policy applied when a new message does not fit,
+ *   or a function choosing one per message. Defaults to `"drop-oldest"`
+ * - `onUsage` - called with the buffer usage whenever it changes
+ *
+ * Messages are only encoded to count their bytes when one of `maxBytes`,
+ * `onUsage` or an `overflow` function is given. Otherwise the usage
+ * reports 0 bytes.
+ */
+export type BufferLimits = {
+  maxMessages?: number;
+  maxBytes?: number;
+  overflow?: OverflowPolicy | ((overflow: BufferOverflow) => OverflowPolicy);
+  onUsage?: (usage: BufferUsage) => void;
+};
+
+export type EnqueueResult<T> = {
+  accepted: boolean;
+  policy: OverflowPolicy | null;
+  dropped: T[];
+};
+
+let textEncoder: TextEncoder | null = null;
+
+/**
+ * Returns the size in bytes of an encoded message.
+ */
+export let byteSize = (encoded: unknown): number => {
+  if (encoded instanceof ArrayBuffer) {
+    return encoded.byteLength;
+  }
+  if (typeof encoded === "string") {
+    textEncoder = textEncoder || new TextEncoder();
+    return textEncoder.encode(encoded).byteLength;
+  }
+  return 0;
+};
+
+/**
+ * Enforces `BufferLimits` on a send buffer. The buffer stays a plain array
+ * owned by the caller; the limiter only tracks the size of what it admitted,
+ * keeping a running total so that checks don't walk the buffer.
+ */
+export default class BufferLimiter<T> {
+  topic: string | null;
+  maxMessages: number;
+  maxBytes: number;
+  overflow: OverflowPolicy | ((overflow: BufferOverflow) => OverflowPolicy);
+  onUsage: (usage: BufferUsage) => void;
+  sizes: Map<T, number> = new Map();
+  bytes: number = 0;
+  countsBytes: boolean;
+
+  constructor(limits: BufferLimits, topic: string | null = null) {
+    this.topic = topic;
+    this.maxMessages = limits.maxMessages || Infinity;
+    this.maxBytes = limits.maxBytes || Infinity;
+    this.overflow = limits.overflow || "drop-oldest";
+    this.onUsage = limits.onUsage || function () {};
+    this.countsBytes =
+      this.maxBytes !== Infinity ||
+      !!limits.onUsage ||
+      typeof this.overflow === "function";
+  }
+
+  usage(buffer: T[]): BufferUsage {
+    return {
+      topic: this.topic,
+      messages: buffer.length,
+      bytes: this.bytes,
+      maxMessages: this.maxMessages,
+      maxBytes: this.maxBytes,
+    };
+  }
+
+  /**
+   * Appends `item` to `buffer` if it fits, otherwise applies the overflow
+   * policy. Items evicted by `"drop-oldest"` are returned as `dropped`.
+   * `meta.size` returns the encoded bytes of the item, and is only called
+   * when bytes are counted.
+   */
+  enqueue(
+    buffer: T[],
+    item: T,
+    {
+      topic,
+      event,
+      size,
+    }: { topic: string; event: string; size: () => number },
+  ): EnqueueResult<T> {
+    let bytes = this.countsBytes ? size() : 0;
+    let meta = { topic, event, bytes };
+    let result: EnqueueResult<T> = {
+      accepted: true,
+      policy: null,
+      dropped: [],
+    };
+    if (!this.fits(buffer, meta.bytes)) {
+      result.policy =
+        typeof this.overflow === "function"
+          ? this.overflow({ ...meta, usage: this.usage(buffer) })
+          : this.overflow;
+
+      if (result.policy === "drop-oldest") {
+        while (buffer.length > 0 && !this.fits(buffer, meta.bytes)) {
+          let oldest = buffer.shift() as T;
+          this.bytes -= this.sizes.get(oldest) || 0;
+          this.sizes.delete(oldest);
+          result.dropped.push(oldest);
+        }
+      }
+      // a message larger than maxBytes never fits, even in an empty buffer
+      result.accepted =
+        result.policy === "drop-oldest" && this.fits(buffer, meta.bytes);
+    }
+
+    if (result.accepted) {
+      buffer.push(item);
+      this.sizes.set(item, meta.bytes);
+      this.bytes += meta.bytes;
+    }
+    this.onUsage(this.usage(buffer));
+    return result;
+  }
+
+  /**
+   * Forgets all tracked items once the buffer has been flushed.
+   */
+  clear() {
+    this.sizes.clear();
+    this.bytes = 0;
+    this.onUsage(this.usage([]));
+  }
+
+  private fits(buffer: T[], bytes: number) {
+    return (
+      buffer.length + 1 <= this.maxMessages &&
+      this.bytes + bytes <= this.maxBytes
+    );
+  }
+}
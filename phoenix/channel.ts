@@ -0,0 +1,692 @@
+import { closure } from "./utils";
+import { CHANNEL_EVENTS, CHANNEL_STATES } from "./constants";
+
+import BufferLimiter from "./buffer";
+import { AuthError, BufferOverflowError } from "./errors";
+import Push from "./push";
+import Timer from "./timer";
+import type { BufferUsage } from "./buffer";
+import type { ClosuredPayload } from "./push";
+import type Outbox from "./outbox";
+import type Socket from "./socket";
+import type { TimerId } from "./timer";
+
+/**
+ * Describes the events of a channel topic, so that event names, payloads
+ * and replies are checked at compile time. Every section is optional, and
+ * an omitted section accepts any event.
+ *
+ * - `join` - the `"ok"` reply and `"error"` response of `channel.join()`
+ * - `inbound` - events received with `channel.on`, keyed by event name
+ * - `outbound` - events sent with `channel.push`, keyed by event name
+ *
+ * @example
+ * type RoomSchema = {
+ *   join: {reply: {messages: Message[]}, error: {reason: string}}
+ *   inbound: {new_msg: Message}
+ *   outbound: {new_msg: {payload: {body: string}, reply: Message}}
+ * }
+ *
+ * let channel = socket.channel<RoomSchema>("room:123")
+ * channel.on("new_msg", msg => console.log(msg.body))
+ * let message = await channel.push("new_msg", {body: "hello"})
+ */
+export interface ChannelSchema {
+  join?: { reply?: unknown; error?: unknown };
+  inbound?: Record<string, unknown>;
+  outbound?: Record<
+    string,
+    { payload?: unknown; reply?: unknown; error?: unknown }
+  >;
+}
+
+type Field<T, Key extends string> = T extends { [K in Key]: infer V } ? V : any;
+type InboundOf<S> = S extends { inbound: infer I } ? I : Record<string, any>;
+type OutboundOf<S> = S extends { outbound: infer O }
+  ? O
+  : Record<string, { payload: any; reply: any; error: any }>;
+
+export type InboundEvent<S> = keyof InboundOf<S> & string;
+export type InboundPayload<S, E extends InboundEvent<S>> = InboundOf<S>[E];
+export type OutboundEvent<S> = keyof OutboundOf<S> & string;
+export type OutboundPayload<S, E extends OutboundEvent<S>> = Field<
+  OutboundOf<S>[E],
+  "payload"
+>;
+export type OutboundReply<S, E extends OutboundEvent<S>> = Field<
+  OutboundOf<S>[E],
+  "reply"
+>;
+export type OutboundError<S, E extends OutboundEvent<S>> = Field<
+  OutboundOf<S>[E],
+  "error"
+>;
+export type JoinReply<S> = Field<Field<S, "join">, "reply">;
+export type JoinError<S> = Field<Field<S, "join">, "error">;
+
+export type BindingCallback = (
+  payload?: any,
+  ref?: string | null,
+  joinRef?: string | null,
+) => unknown;
+
+type Binding = {
+  event: string;
+  ref: number;
+  callback: BindingCallback;
+};
+
+/**
+ *
+ * param {string} topic
+ * param {(Object|function)} params
+ * param {Socket} socket
+ */
+export default class Channel<S extends ChannelSchema = ChannelSchema> {
+  state: CHANNEL_STATES;
+  topic: string;
+  params: ClosuredPayload;
+  socket: Socket;
+  bindings: Binding[];
+  bindingRef: number;
+  timeout: number;
+  joinedOnce: boolean;
+  joinPush: Push<JoinReply<S>, JoinError<S>>;
+  pushBuffer: Push[];
+  pushBufferLimiter: BufferLimiter<Push>;
+  outboxPushes: Map<Push, { id: string; expiry: TimerId | null }>;
+  stateChangeRefs: string[];
+  rejoinTimer: Timer;
+  authRefreshed: boolean = false;
+
+  constructor(topic: string, params: unknown, socket: Socket) {
+    this.state = CHANNEL_STATES.closed;
+    this.topic = topic;
+    this.params = closure(params || {}) as ClosuredPayload;
+    this.socket = socket;
+    this.bindings = [];
+    this.bindingRef = 0;
+    this.timeout = this.socket.timeout;
+    this.joinedOnce = false;
+    this.joinPush = new Push(
+      this,
+      CHANNEL_EVENTS.join,
+      this.params,
+      this.timeout,
+    );
+    this.pushBuffer = [];
+    this.pushBufferLimiter = new BufferLimiter(
+      this.socket.pushBufferLimits || {},
+      topic,
+    );
+    this.outboxPushes = new Map();
+    this.stateChangeRefs = [];
+
+    this.rejoinTimer = new Timer(
+      () => {
+        if (this.socket.isConnected()) {
+          this.rejoin();
+        }
+      },
+      this.socket.rejoinAfterMs,
+      this.socket.scheduler,
+    );
+    this.stateChangeRefs.push(
+      this.socket.onError(() => this.rejoinTimer.reset()),
+    );
+    this.stateChangeRefs.push(
+      this.socket.onOpen(() => {
+        this.rejoinTimer.reset();
+        this.authRefreshed = false;
+        if (this.isErrored()) {
+          this.rejoin();
+        }
+      }),
+    );
+    this.joinPush.receive("ok", () => {
+      this.state = CHANNEL_STATES.joined;
+      this.rejoinTimer.reset();
+      this.authRefreshed = false;
+      this.replayOutbox();
+      this.pushBuffer.forEach((pushEvent) => pushEvent.send());
+      this.pushBuffer = [];
+      this.pushBufferLimiter.clear();
+    });
+    this.joinPush.receive("error", (response) => {
+      this.state = CHANNEL_STATES.errored;
+      if (this.socket.authRefresher && this.socket.isUnauthorized(response)) {
+        this.onUnauthorized(response);
+      } else if (this.socket.isConnected()) {
+        this.rejoinTimer.scheduleTimeout();
+      }
+    });
+    this.onClose(() => {
+      this.rejoinTimer.reset();
+      if (this.socket.hasLogger())
+        this.socket.log(
+          "channel",
+          `close ${this.topic} ${this.joinRef()}`,
+          undefined,
+          { level: "info", topic: this.topic, joinRef: this.joinRef() },
+        );
+      this.state = CHANNEL_STATES.closed;
+      this.socket.remove(this);
+    });
+    this.onError((reason: unknown) => {
+      if (this.socket.hasLogger())
+        this.socket.log("channel", `error ${this.topic}`, reason, {
+          level: "warn",
+          topic: this.topic,
+          joinRef: this.joinRef(),
+        });
+      if (this.isJoining()) {
+        this.joinPush.reset();
+      }
+      this.state = CHANNEL_STATES.errored;
+      // a failed credential refresh waits for the socket to reopen
+      if (this.socket.isConnected() && !(reason instanceof AuthError)) {
+        this.rejoinTimer.scheduleTimeout();
+      }
+    });
+    this.joinPush.receive("timeout", () => {
+      if (this.socket.hasLogger())
+        this.socket.log(
+          "channel",
+          `timeout ${this.topic} (${this.joinRef()})`,
+          this.joinPush.timeout,
+          {
+            level: "warn",
+            topic: this.topic,
+            joinRef: this.joinRef(),
+            durationMs: this.joinPush.timeout,
+          },
+        );
+      let leavePush = new Push(
+        this,
+        CHANNEL_EVENTS.leave,
+        closure({}) as ClosuredPayload,
+        this.timeout,
+      );
+      leavePush.send();
+      this.state = CHANNEL_STATES.errored;
+      this.joinPush.reset();
+      if (this.socket.isConnected()) {
+        this.rejoinTimer.scheduleTimeout();
+      }
+    });
+    this.bind(CHANNEL_EVENTS.reply, (payload, ref) => {
+      this.trigger(this.replyEventName(ref), payload);
+    });
+  }
+
+  /**
+   * Join the channel
+   *
+   * The returned Push can be awaited for the join reply, ie:
+   *
+   * @example
+   * let {messages} = await channel.join()
+   *
+   * param timeout
+   * returns {Push}
+   */
+  join(timeout = this.timeout): Push<JoinReply<S>, JoinError<S>> {
+    if (this.joinedOnce) {
+      throw new Error(
+        "tried to join multiple times. 'join' can only be called a single time per channel instance",
+      );
+    } else {
+      this.timeout = timeout;
+      this.joinedOnce = true;
+      this.rejoin();
+      return this.joinPush;
+    }
+  }
+
+  /**
+   * Hook into channel close
+   * param {Function} callback
+   */
+  onClose(callback: BindingCallback) {
+    this.bind(CHANNEL_EVENTS.close, callback);
+  }
+
+  /**
+   * Hook into channel errors
+   * param {Function} callback
+   */
+  onError(callback: (reason?: unknown) => unknown) {
+    return this.bind(CHANNEL_EVENTS.error, (reason) => callback(reason));
+  }
+
+  /**
+   * Subscribes on channel events
+   *
+   * Subscription returns a ref counter, which can be used later to
+   * unsubscribe the exact event listener
+   *
+   * @example
+   * const ref1 = channel.on("event", do_stuff)
+   * const ref2 = channel.on("event", do_other_stuff)
+   * channel.off("event", ref1)
+   * // Since unsubscription, do_stuff won't fire,
+   * // while do_other_stuff will keep firing on the "event"
+   *
+   * param {string} event
+   * param {Function} callback
+   * returns ref
+   */
+  on<E extends InboundEvent<S>>(
+    event: E,
+    callback: (
+      payload: InboundPayload<S, E>,
+      ref?: string | null,
+      joinRef?: string | null,
+    ) => unknown,
+  ): number {
+    return this.bind(event, callback);
+  }
+
+  /**
+   * @private
+   *
+   * Subscribes on any event, including internal ones outside the schema
+   */
+  bind(event: string, callback: BindingCallback): number {
+    let ref = this.bindingRef++;
+    this.bindings.push({ event, ref, callback });
+    return ref;
+  }
+
+  /**
+   * Unsubscribes off of channel events
+   *
+   * Use the ref returned from a channel.on() to unsubscribe one
+   * handler, or pass nothing for the ref to unsubscribe all
+   * handlers for the given event.
+   *
+   * @example
+   * // Unsubscribe the do_stuff handler
+   * const ref1 = channel.on("event", do_stuff)
+   * channel.off("event", ref1)
+   *
+   * // Unsubscribe all handlers from event
+   * channel.off("event")
+   *
+   * param {string} event
+   * param ref
+   */
+  off(event: string, ref?: number) {
+    this.bindings = this.bindings.filter((bind) => {
+      return !(
+        bind.event === event &&
+        (typeof ref === "undefined" || ref === bind.ref)
+      );
+    });
+  }
+
+  /**
+   * @private
+   */
+  canPush() {
+    return this.socket.isConnected() && this.isJoined();
+  }
+
+  /**
+   * Sends a message `event` to phoenix with the payload `payload`.
+   * Phoenix receives this in the `handle_in(event, payload, socket)`
+   * function. if phoenix replies or it times out (default 10000ms),
+   * then optionally the reply can be received.
+   *
+   * @example
+   * channel.push("event")
+   *   .receive("ok", payload => console.log("phoenix replied:", payload))
+   *   .receive("error", err => console.log("phoenix errored", err))
+   *   .receive("timeout", () => console.log("timed out pushing"))
+   *
+   * // or, with async/await
+   * let reply = await channel.push("event")
+   * param {string} event
+   * param {Object} payload
+   * param {number} [timeout]
+   * returns {Push}
+   */
+  push<E extends OutboundEvent<S>>(
+    event: E,
+    payload?: OutboundPayload<S, E>,
+    timeout = this.timeout,
+  ): Push<OutboundReply<S, E>, OutboundError<S, E>> {
+    payload = payload || ({} as OutboundPayload<S, E>);
+    if (!this.joinedOnce) {
+      throw new Error(
+        `tried to push '${event}' to '${this.topic}' before joining. Use channel.join() before pushing events`,
+      );
+    }
+    let pushEvent = new Push<OutboundReply<S, E>, OutboundError<S, E>>(
+      this,
+      event,
+      function () {
+        return payload as Record<string | number, unknown>;
+      },
+      timeout,
+    );
+    if (this.canPush()) {
+      pushEvent.send();
+    } else {
+      let outbox: Outbox | null =
+        payload instanceof ArrayBuffer ? null : this.socket.outbox;
+      let { accepted, policy, dropped } = this.pushBufferLimiter.enqueue(
+        this.pushBuffer,
+        pushEvent,
+        {
+          topic: this.topic,
+          event,
+          size: () =>
+            this.socket.encodedSize({
+              join_ref: null,
+              ref: null,
+              topic: this.topic,
+              event,
+              payload,
+            }),
+        },
+      );
+      dropped.forEach((droppedPush) => this.dropOutboxPush(droppedPush));
+      if (outbox && accepted) {
+        this.queueOutboxPush(outbox, pushEvent, event, payload, timeout);
+      } else {
+        pushEvent.startTimeout();
+      }
+      if (policy === "reject") {
+        pushEvent.trigger(
+          "error",
+          new BufferOverflowError(this.topic, event, this.pushBufferUsage()),
+        );
+      }
+    }
+
+    return pushEvent;
+  }
+
+  /**
+   * Returns the number of pushes and encoded bytes held in the `pushBuffer`
+   */
+  pushBufferUsage(): BufferUsage {
+    return this.pushBufferLimiter.usage(this.pushBuffer);
+  }
+
+  /** Leaves the channel
+   *
+   * Unsubscribes from server events, and
+   * instructs channel to terminate on server
+   *
+   * Triggers onClose() hooks
+   *
+   * To receive leave acknowledgements, use the `receive`
+   * hook to bind to the server ack, ie:
+   *
+   * @example
+   * channel.leave().receive("ok", () => alert("left!") )
+   *
+   * // or, with async/await
+   * await channel.leave()
+   *
+   * param timeout
+   * returns {Push}
+   */
+  leave(timeout = this.timeout): Push {
+    this.rejoinTimer.reset();
+    this.joinPush.cancelTimeout();
+
+    this.state = CHANNEL_STATES.leaving;
+    let onClose = () => {
+      if (this.socket.hasLogger())
+        this.socket.log("channel", `leave ${this.topic}`, undefined, {
+          level: "info",
+          topic: this.topic,
+        });
+      this.trigger(CHANNEL_EVENTS.close, "leave");
+    };
+    let leavePush = new Push(
+      this,
+      CHANNEL_EVENTS.leave,
+      closure({}) as ClosuredPayload,
+      timeout,
+    );
+    leavePush
+      .receive("ok", () => onClose())
+      .receive("timeout", () => onClose());
+    leavePush.send();
+    if (!this.canPush()) {
+      leavePush.trigger("ok", {});
+    }
+
+    return leavePush;
+  }
+
+  /**
+   * Overridable message hook
+   *
+   * Receives all events for specialized message handling
+   * before dispatching to the channel callbacks.
+   *
+   * Must return the payload, modified or unmodified
+   * param {string} event
+   * param {Object} payload
+   * param  ref
+   * returns {Object}
+   */
+  onMessage(
+    _event: string,
+    payload?: any,
+    _ref?: string | null,
+    _joinRef?: string | null,
+  ): any {
+    return payload;
+  }
+
+  joinRef() {
+    return this.joinPush.ref;
+  }
+
+  trigger(
+    event: string,
+    payload?: any,
+    ref?: string | null,
+    joinRef?: string | null,
+  ) {
+    let handledPayload = this.onMessage(event, payload, ref, joinRef);
+    if (payload && !handledPayload) {
+      throw new Error(
+        "channel onMessage callbacks must return the payload, modified or unmodified",
+      );
+    }
+
+    let eventBindings = this.bindings.filter((bind) => bind.event === event);
+
+    for (let i = 0; i < eventBindings.length; i++) {
+      let bind = eventBindings[i];
+      bind.callback(handledPayload, ref, joinRef || this.joinRef());
+    }
+  }
+
+  replyEventName(ref?: string | null) {
+    return `chan_reply_${ref}`;
+  }
+
+  /**
+   * @private
+   */
+  isMember(
+    topic: string,
+    event: string,
+    payload: unknown,
+    joinRef?: string | null,
+  ) {
+    if (this.topic !== topic) {
+      return false;
+    }
+
+    if (joinRef && joinRef !== this.joinRef()) {
+      if (this.socket.hasLogger())
+        this.socket.log(
+          "channel",
+          "dropping outdated message",
+          { topic, event, payload, joinRef },
+          { topic, event, joinRef },
+        );
+      return false;
+    } else {
+      return true;
+    }
+  }
+
+  /**
+   * @private
+   *
+   * Sends the outbox entries for this topic in order. Entries restored
+   * from a previous page pass through the outbox `beforeReplay` hook.
+   */
+  replayOutbox() {
+    let outbox: Outbox | null = this.socket.outbox;
+    if (!outbox) {
+      return;
+    }
+    let queued = new Set<string>();
+    this.outboxPushes.forEach(({ id, expiry }) => {
+      queued.add(id);
+      this.socket.scheduler.clearTimeout(expiry);
+    });
+    this.outboxPushes.clear();
+    outbox.take(this.topic).forEach((entry) => {
+      // the pushes of this page are sent from the pushBuffer, persisted or not
+      if (queued.has(entry.id)) {
+        return;
+      }
+      let restored = outbox.beforeReplay(entry);
+      if (restored) {
+        new Push(
+          this,
+          restored.event,
+          closure(restored.payload) as ClosuredPayload,
+          restored.timeout,
+        ).send();
+      }
+    });
+  }
+
+  /**
+   * @private
+   *
+   * Persists a push held in the `pushBuffer`. It waits for the outbox
+   * `ttl` instead of its timeout, which starts once it is sent.
+   */
+  queueOutboxPush(
+    outbox: Outbox,
+    pushEvent: Push,
+    event: string,
+    payload: unknown,
+    timeout: number,
+  ) {
+    let { id } = outbox.enqueue(
+      this.topic,
+      event,
+      payload as Record<string | number, unknown>,
+      timeout,
+    );
+    let expiry = null;
+    if (outbox.ttl !== Infinity) {
+      expiry = this.socket.scheduler.setTimeout(() => {
+        this.dropOutboxPush(pushEvent);
+        pushEvent.trigger("timeout", {});
+      }, outbox.ttl);
+    }
+    this.outboxPushes.set(pushEvent, { id, expiry });
+  }
+
+  /**
+   * @private
+   *
+   * Removes the outbox entry of a push dropped from the `pushBuffer`,
+   * which then times out like any dropped push.
+   */
+  dropOutboxPush(pushEvent: Push) {
+    let queued = this.outboxPushes.get(pushEvent);
+    if (!queued || !this.socket.outbox) {
+      return;
+    }
+    this.outboxPushes.delete(pushEvent);
+    this.socket.scheduler.clearTimeout(queued.expiry);
+    this.socket.outbox.remove(this.topic, queued.id);
+    pushEvent.startTimeout();
+  }
+
+  /**
+   * @private
+   *
+   * Refreshes credentials once and rejoins. A second rejection before the
+   * channel joins triggers `onError` with an `AuthError`.
+   */
+  private onUnauthorized(response: unknown) {
+    if (this.authRefreshed) {
+      this.trigger(CHANNEL_EVENTS.error, new AuthError(response));
+      return;
+    }
+    this.authRefreshed = true;
+    this.socket.refreshAuth(response).then(
+      () => {
+        if (this.isErrored() && this.socket.isConnected()) {
+          this.rejoin();
+        }
+      },
+      (error: AuthError) => this.trigger(CHANNEL_EVENTS.error, error),
+    );
+  }
+
+  /**
+   * @private
+   */
+  rejoin(timeout = this.timeout) {
+    if (this.isLeaving()) {
+      return;
+    }
+    this.socket.leaveOpenTopic(this.topic);
+    this.state = CHANNEL_STATES.joining;
+    this.joinPush.resend(timeout);
+  }
+
+  /**
+   * @private
+   */
+  isClosed() {
+    return this.state === CHANNEL_STATES.closed;
+  }
+
+  /**
+   * @private
+   */
+  isErrored() {
+    return this.state === CHANNEL_STATES.errored;
+  }
+
+  /**
+   * @private
+   */
+  isJoined() {
+    return this.state === CHANNEL_STATES.joined;
+  }
+
+  /**
+   * @private
+   */
+  isJoining() {
+    return this.state === CHANNEL_STATES.joining;
+  }
+
+  /**
+   * @private
+   */
+  isLeaving() {
+    return this.state === CHANNEL_STATES.leaving;
+  }
+}
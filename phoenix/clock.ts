@@ -0,0 +1,115 @@
+import type { TimerId } from "./timer";
+
+/**
+ * The source of time and timers for a `Socket` and everything it creates:
+ * reconnect and rejoin timers, push timeouts, heartbeats, the `LongPoll`
+ * transport and fallbacks.
+ */
+export interface Scheduler {
+  now(): number;
+  setTimeout(callback: () => void, delay: number): TimerId;
+  clearTimeout(timer: TimerId | null): void;
+}
+
+/**
+ * Schedules with the global timers, looked up on each call so they can be
+ * replaced, ie by fake timers.
+ */
+export const defaultScheduler: Scheduler = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay) as TimerId,
+  clearTimeout: (timer) => {
+    timer !== null && clearTimeout(timer);
+  },
+};
+
+type PendingTimer = { id: TimerId; at: number; callback: () => void };
+
+/**
+ * A `Scheduler` whose time only moves when advanced, to drive a `Socket`
+ * step by step in tests.
+ *
+ * Timers due at the same time fire in the order they were scheduled, and
+ * timers scheduled by a firing timer fire within the same `advance` if
+ * they are due.
+ *
+ * @example
+ * let clock = new VirtualClock()
+ * let socket = new Socket("/socket", {scheduler: clock})
+ * socket.connect()
+ * clock.advance(30000) // sends a heartbeat
+ */
+export default class VirtualClock implements Scheduler {
+  time: number;
+  timers: PendingTimer[] = [];
+  nextId: number = 1;
+
+  constructor(time: number = 0) {
+    this.time = time;
+  }
+
+  now(): number {
+    return this.time;
+  }
+
+  setTimeout(callback: () => void, delay: number): TimerId {
+    let id = this.nextId++;
+    let at = this.time + Math.max(0, delay || 0);
+    let i = this.timers.findIndex((timer) => timer.at > at);
+    this.timers.splice(i === -1 ? this.timers.length : i, 0, {
+      id,
+      at,
+      callback,
+    });
+    return id;
+  }
+
+  clearTimeout(timer: TimerId | null) {
+    this.timers = this.timers.filter(({ id }) => id !== timer);
+  }
+
+  /**
+   * Moves time forward by `ms`, firing the timers which become due.
+   */
+  advance(ms: number) {
+    let target = this.time + ms;
+    while (this.timers.length > 0 && this.timers[0].at <= target) {
+      this.next();
+    }
+    this.time = target;
+  }
+
+  /**
+   * Moves time to the next timer and fires it. Returns false if no
+   * timer is pending.
+   */
+  next(): boolean {
+    let timer = this.timers.shift();
+    if (!timer) {
+      return false;
+    }
+    this.time = Math.max(this.time, timer.at);
+    timer.callback();
+    return true;
+  }
+
+  /**
+   * Fires timers until none are pending. Throws after `limit` timers, as
+   * heartbeats and reconnects keep scheduling new ones.
+   */
+  runAll(limit: number = 1000) {
+    for (let fired = 0; this.timers.length > 0; fired++) {
+      if (fired >= limit) {
+        throw new Error(`fired ${limit} timers without running out of timers`);
+      }
+      this.next();
+    }
+  }
+
+  /**
+   * Returns the number of pending timers.
+   */
+  pending(): number {
+    return this.timers.length;
+  }
+}
@@ -1,8 +1,13 @@
 export type Global = Window | WorkerGlobalScope;
-export const global: Global = self;
+// Node has no `self`, only `globalThis`
+export const global: Global = (
+  typeof self !== "undefined" ? self : globalThis
+) as Global;
 
 // TODO - remove entirely in favor of above global
-export const phxWindow = self;
+// null outside of a browser window, ie in Node, Bun, Deno and workers
+export const phxWindow: Window | null =
+  typeof window !== "undefined" ? window : null;
 
 export type ParsedJSON =
   | number
@@ -43,8 +48,6 @@ export enum CHANNEL_EVENTS {
 
 export enum TRANSPORTS {
   longpoll = "longpoll",
+  sse = "sse",
   websocket = "websocket",
 }
-export enum XHR_STATES {
-  complete = 4,
-}
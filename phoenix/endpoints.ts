@@ -0,0 +1,122 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+
+export type EndpointStrategy = "ordered" | "round-robin" | "lowest-rtt";
+
+export type EndpointHealth = {
+  url: string;
+  failures: number;
+  lastFailureAt: number | null;
+  lastConnectedAt: number | null;
+  rtt: number | null;
+};
+
+export type EndpointPoolOptions = {
+  strategy?: EndpointStrategy;
+  maxFailures?: number;
+};
+
+/**
+ * Tracks the health of each socket endpoint and selects the next one to
+ * connect to once the active endpoint fails `maxFailures` times in a row.
+ *
+ * - `"ordered"` - fails over to the first healthy endpoint in list order
+ * - `"round-robin"` - fails over to the next healthy endpoint after the active one
+ * - `"lowest-rtt"` - fails over to the healthy endpoint with the lowest
+ *   last-known RTT. Endpoints are not probed: only the active one is
+ *   measured, so endpoints not measured yet are tried first, and the RTT
+ *   of the others is from when they were last active
+ *
+ * An endpoint is healthy while its consecutive failures are below `maxFailures`.
+ * When none is, all failure counts are reset and selection starts over.
+ */
+export default class EndpointPool {
+  endpoints: EndpointHealth[];
+  strategy: EndpointStrategy;
+  maxFailures: number;
+  index: number = 0;
+  scheduler: Scheduler;
+
+  constructor(
+    urls: string[],
+    opts: EndpointPoolOptions = {},
+    scheduler: Scheduler = defaultScheduler,
+  ) {
+    if (urls.length === 0) {
+      throw new Error("at least one endpoint is required");
+    }
+    this.endpoints = urls.map((url) => ({
+      url,
+      failures: 0,
+      lastFailureAt: null,
+      lastConnectedAt: null,
+      rtt: null,
+    }));
+    this.strategy = opts.strategy || "ordered";
+    this.maxFailures = opts.maxFailures || 2;
+    this.scheduler = scheduler;
+  }
+
+  current(): EndpointHealth {
+    return this.endpoints[this.index];
+  }
+
+  recordSuccess() {
+    let endpoint = this.current();
+    endpoint.failures = 0;
+    endpoint.lastConnectedAt = this.scheduler.now();
+  }
+
+  /**
+   * Records the RTT of the active endpoint, kept once it is no longer active.
+   */
+  recordRtt(rtt: number) {
+    this.current().rtt = rtt;
+  }
+
+  /**
+   * Records a failed connection to the active endpoint, moving to the
+   * next endpoint when it is no longer healthy.
+   *
+   * Returns true if the active endpoint changed.
+   */
+  recordFailure(): boolean {
+    let endpoint = this.current();
+    endpoint.failures++;
+    endpoint.lastFailureAt = this.scheduler.now();
+    if (this.isHealthy(endpoint)) {
+      return false;
+    }
+
+    let candidates = this.endpoints.filter((e) => this.isHealthy(e));
+    if (candidates.length === 0) {
+      this.endpoints.forEach((e) => (e.failures = 0));
+      candidates = this.endpoints.filter((e) => e !== endpoint);
+    }
+    let next = this.select(candidates) || endpoint;
+    let changed = next !== endpoint;
+    this.index = this.endpoints.indexOf(next);
+    return changed;
+  }
+
+  private isHealthy(endpoint: EndpointHealth) {
+    return endpoint.failures < this.maxFailures;
+  }
+
+  private select(candidates: EndpointHealth[]): EndpointHealth | undefined {
+    switch (this.strategy) {
+      case "round-robin": {
+        let count = this.endpoints.length;
+        let position = (e: EndpointHealth) =>
+          (this.endpoints.indexOf(e) - this.index + count) % count;
+        return candidates.sort((a, b) => position(a) - position(b))[0];
+      }
+      case "lowest-rtt": {
+        let rtt = (e: EndpointHealth) => (e.rtt === null ? -1 : e.rtt);
+        return candidates.sort((a, b) => rtt(a) - rtt(b))[0];
+      }
+      default:
+        return candidates[0];
+    }
+  }
+}
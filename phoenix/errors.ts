@@ -0,0 +1,91 @@
+import type { BufferUsage } from "./buffer";
+
+/**
+ * Rejection reason for an awaited `Push` whose reply had an `"error"` status.
+ *
+ * @example
+ * try {
+ *   await channel.push("new_msg", {body: "hi"})
+ * } catch (e) {
+ *   if (e instanceof PushError) console.log("rejected", e.response)
+ * }
+ */
+export class PushError extends Error {
+  topic: string;
+  event: string;
+  response: any;
+
+  constructor(topic: string, event: string, response: any) {
+    super(`push '${event}' to '${topic}' replied with error`);
+    this.name = "PushError";
+    this.topic = topic;
+    this.event = event;
+    this.response = response;
+  }
+}
+
+/**
+ * Rejection reason for an awaited `Push` that received no reply
+ * within its timeout.
+ */
+export class PushTimeoutError extends Error {
+  topic: string;
+  event: string;
+  timeout: number;
+
+  constructor(topic: string, event: string, timeout: number) {
+    super(`push '${event}' to '${topic}' timed out after ${timeout}ms`);
+    this.name = "PushTimeoutError";
+    this.topic = topic;
+    this.event = event;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Rejection reason for an awaited `socket.connect()` when the transport
+ * errors or closes, or the socket disconnects, before the connection opens.
+ */
+export class ConnectionError extends Error {
+  reason: unknown;
+
+  constructor(reason: unknown) {
+    super("socket connection failed");
+    this.name = "ConnectionError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error response of a `Push` rejected by the `"reject"` overflow policy of
+ * a full send buffer. Awaited pushes reject with it directly.
+ */
+export class BufferOverflowError extends Error {
+  topic: string;
+  event: string;
+  usage: BufferUsage;
+
+  constructor(topic: string, event: string, usage: BufferUsage) {
+    super(`push '${event}' to '${topic}' rejected by a full send buffer`);
+    this.name = "BufferOverflowError";
+    this.topic = topic;
+    this.event = event;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Reported when the server rejects the connection or a channel join as
+ * unauthorized and refreshing the credentials with `refreshAuth` failed,
+ * or did not help. `cause` is the error thrown by `refreshAuth`, if any.
+ */
+export class AuthError extends ConnectionError {
+  cause: unknown;
+
+  constructor(reason: unknown, cause?: unknown) {
+    super(reason);
+    this.message = "authentication failed";
+    this.name = "AuthError";
+    this.cause = cause;
+  }
+}
@@ -0,0 +1,356 @@
+import { CHANNEL_EVENTS, SOCKET_STATES } from "./constants";
+import Presence from "./presence";
+import type TabCoordinator from "./tabs";
+import type { TabFallback } from "./tabs";
+import type { TimerId } from "./timer";
+import type {
+  AfterDecodeCallback,
+  AfterEncodeCallback,
+  DecodedMessage,
+  EncodedMessage,
+} from "./serializer";
+
+export type Encoder = (
+  msg: DecodedMessage,
+  callback: AfterEncodeCallback,
+) => void;
+export type Decoder = (
+  raw: EncodedMessage,
+  callback: AfterDecodeCallback,
+) => void;
+
+const NOT_CONNECTED = {
+  status: "error",
+  response: { reason: "not connected" },
+};
+
+type Origin = { tab: string; ref: string | null; joinRef: string | null };
+
+type SharedTopic = {
+  joinRef: string;
+  members: Map<string, string | null>;
+  pending: Origin[];
+  reply: unknown;
+  presence: Record<string, unknown> | null;
+};
+
+/**
+ * Multiplexes the sockets of every tab over the single connection held by
+ * the leader tab.
+ *
+ * Refs of forwarded messages are replaced by refs of the hub, so replies are
+ * routed back to the tab and ref which pushed. A topic is joined once on the
+ * server: later joins from other tabs are answered with the cached join reply
+ * and the last known presence state, without sending their join params, and
+ * the topic is only left once its last tab leaves. Broadcasts and channel
+ * pushes are fanned out to every tab that joined the topic.
+ *
+ * Joins and pushes that cannot be sent because the connection is not open
+ * are answered with an `"error"` reply of `{reason: "not connected"}`.
+ *
+ * When the coordinator has a `fallback` and the connection does not open
+ * within its `afterMs`, or errors first, the hub connects with the fallback
+ * transport instead, and keeps using it while it leads.
+ */
+export default class TabHub {
+  coordinator: TabCoordinator;
+  createTransport: (url: string) => any;
+  encode: Encoder;
+  decode: Decoder;
+  serverEncode: Encoder;
+  serverDecode: Decoder;
+  conn: any = null;
+  fallbackTimer: TimerId | null = null;
+  fellBack: boolean = false;
+  tabs: Set<string> = new Set();
+  topics: Map<string, SharedTopic> = new Map();
+  replies: Map<string, Origin> = new Map();
+  ref: number = 0;
+
+  constructor(
+    coordinator: TabCoordinator,
+    createTransport: (url: string) => any,
+    encode: Encoder,
+    decode: Decoder,
+  ) {
+    this.coordinator = coordinator;
+    this.createTransport = createTransport;
+    this.encode = encode;
+    this.decode = decode;
+    this.serverEncode = encode;
+    this.serverDecode = decode;
+  }
+
+  connectTab(tab: string, url: string) {
+    this.tabs.add(tab);
+    if (this.conn && this.conn.readyState === SOCKET_STATES.open) {
+      this.coordinator.post({ type: "open", to: tab });
+    } else if (!this.conn) {
+      this.openConnection(url);
+    }
+  }
+
+  disconnectTab(tab: string) {
+    this.tabs.delete(tab);
+    this.topics.forEach((shared, topic) => {
+      shared.members.delete(tab);
+      shared.pending = shared.pending.filter((origin) => origin.tab !== tab);
+      this.leaveIfUnused(topic, shared);
+    });
+    if (this.tabs.size === 0) {
+      this.close(1000, "no tabs connected");
+    }
+  }
+
+  receive(tab: string, data: EncodedMessage) {
+    this.decode(data, (msg) => {
+      switch (msg.event) {
+        case CHANNEL_EVENTS.join:
+          return this.join(tab, msg);
+        case CHANNEL_EVENTS.leave:
+          return this.leave(tab, msg);
+        default:
+          return this.forward(tab, msg);
+      }
+    });
+  }
+
+  /**
+   * Closes the connection, closing the transport of every tab.
+   */
+  close(code: number, reason: string) {
+    this.clearFallbackTimer();
+    let conn = this.conn;
+    if (conn) {
+      conn.onclose = function () {}; // noop
+      conn.close(code, reason);
+      this.onConnClose({ code, reason });
+    }
+  }
+
+  private openConnection(url: string) {
+    let fallback = this.coordinator.fallback;
+    let conn =
+      fallback && this.fellBack
+        ? fallback.createTransport(url)
+        : this.createTransport(url);
+    if (fallback && !this.fellBack) {
+      this.fallbackTimer = this.coordinator.scheduler.setTimeout(
+        () => this.fallBack(url, fallback),
+        fallback.afterMs,
+      );
+    }
+    conn.binaryType = "arraybuffer";
+    conn.onopen = () => {
+      this.clearFallbackTimer();
+      this.tabs.forEach((tab) =>
+        this.coordinator.post({ type: "open", to: tab }),
+      );
+    };
+    // a close follows, unless the connection failed to open and falls back
+    conn.onerror = () =>
+      fallback && this.fallbackTimer !== null && this.fallBack(url, fallback);
+    conn.onmessage = (event: { data: EncodedMessage }) =>
+      this.serverDecode(event.data, (msg) => this.dispatch(msg));
+    conn.onclose = (event: { code?: number; reason?: string }) =>
+      this.onConnClose(event);
+    this.conn = conn;
+  }
+
+  private fallBack(url: string, fallback: TabFallback) {
+    this.clearFallbackTimer();
+    let conn = this.conn;
+    conn.onerror = function () {}; // noop
+    conn.onclose = function () {}; // noop
+    conn.close();
+    this.fellBack = true;
+    this.serverEncode = fallback.encode;
+    this.serverDecode = fallback.decode;
+    this.openConnection(url);
+  }
+
+  private clearFallbackTimer() {
+    this.coordinator.scheduler.clearTimeout(this.fallbackTimer);
+    this.fallbackTimer = null;
+  }
+
+  private onConnClose(event: { code?: number; reason?: string }) {
+    this.clearFallbackTimer();
+    this.conn = null;
+    this.topics.clear();
+    this.replies.clear();
+    this.tabs.forEach((tab) =>
+      this.coordinator.post({
+        type: "close",
+        to: tab,
+        code: (event && event.code) || 1006,
+        reason: (event && event.reason) || "",
+      }),
+    );
+    this.tabs.clear();
+  }
+
+  private join(tab: string, msg: DecodedMessage) {
+    let origin = { tab, ref: msg.ref, joinRef: msg.join_ref };
+    let shared = this.topics.get(msg.topic);
+    if (!shared) {
+      shared = {
+        joinRef: this.makeRef(),
+        members: new Map(),
+        pending: [origin],
+        reply: null,
+        presence: null,
+      };
+      this.topics.set(msg.topic, shared);
+      let sent = this.sendToServer({
+        ...msg,
+        join_ref: shared.joinRef,
+        ref: shared.joinRef,
+      });
+      if (!sent) {
+        this.onJoinReply(msg.topic, shared, NOT_CONNECTED);
+      }
+    } else if (shared.reply) {
+      shared.members.set(tab, msg.join_ref);
+      this.replyToTab(origin, msg.topic, shared.reply);
+      if (shared.presence) {
+        this.sendToTab(tab, {
+          join_ref: msg.join_ref,
+          ref: null,
+          topic: msg.topic,
+          event: "presence_state",
+          payload: Presence.clone(shared.presence),
+        });
+      }
+    } else {
+      shared.pending.push(origin);
+    }
+  }
+
+  private leave(tab: string, msg: DecodedMessage) {
+    let shared = this.topics.get(msg.topic);
+    if (shared) {
+      shared.members.delete(tab);
+      this.leaveIfUnused(msg.topic, shared);
+    }
+    this.replyToTab({ tab, ref: msg.ref, joinRef: msg.join_ref }, msg.topic, {
+      status: "ok",
+      response: {},
+    });
+  }
+
+  private leaveIfUnused(topic: string, shared: SharedTopic) {
+    if (shared.members.size > 0 || shared.pending.length > 0) {
+      return;
+    }
+    this.topics.delete(topic);
+    this.sendToServer({
+      join_ref: shared.joinRef,
+      ref: this.makeRef(),
+      topic,
+      event: CHANNEL_EVENTS.leave,
+      payload: {},
+    });
+  }
+
+  private forward(tab: string, msg: DecodedMessage) {
+    let shared = this.topics.get(msg.topic);
+    let origin = { tab, ref: msg.ref, joinRef: msg.join_ref };
+    let ref = null;
+    if (msg.ref) {
+      ref = this.makeRef();
+      this.replies.set(ref, origin);
+    }
+    let sent = this.sendToServer({
+      ...msg,
+      join_ref: shared ? shared.joinRef : msg.join_ref,
+      ref,
+    });
+    if (!sent && ref) {
+      this.replies.delete(ref);
+      this.replyToTab(origin, msg.topic, NOT_CONNECTED);
+    }
+  }
+
+  private dispatch(msg: DecodedMessage) {
+    let shared = this.topics.get(msg.topic);
+    if (
+      shared &&
+      msg.ref === shared.joinRef &&
+      msg.event === CHANNEL_EVENTS.reply
+    ) {
+      return this.onJoinReply(msg.topic, shared, msg.payload);
+    }
+    let origin = msg.ref && this.replies.get(msg.ref);
+    if (origin) {
+      this.replies.delete(msg.ref as string);
+      return this.sendToTab(origin.tab, {
+        ...msg,
+        join_ref: origin.joinRef,
+        ref: origin.ref,
+      });
+    }
+    if (!shared || (msg.join_ref && msg.join_ref !== shared.joinRef)) {
+      return;
+    }
+
+    if (msg.event === "presence_state") {
+      shared.presence = Presence.clone(msg.payload);
+    } else if (msg.event === "presence_diff" && shared.presence) {
+      Presence.syncDiff(shared.presence, msg.payload);
+    } else if (
+      msg.event === CHANNEL_EVENTS.error ||
+      msg.event === CHANNEL_EVENTS.close
+    ) {
+      this.topics.delete(msg.topic);
+    }
+    shared.members.forEach((joinRef, tab) =>
+      this.sendToTab(tab, { ...msg, join_ref: msg.join_ref ? joinRef : null }),
+    );
+  }
+
+  private onJoinReply(topic: string, shared: SharedTopic, reply: any) {
+    let joined = reply && reply.status === "ok";
+    shared.pending.forEach((origin) => {
+      if (joined) {
+        shared.members.set(origin.tab, origin.joinRef);
+      }
+      this.replyToTab(origin, topic, reply);
+    });
+    shared.pending = [];
+    if (joined) {
+      shared.reply = reply;
+    } else {
+      this.topics.delete(topic);
+    }
+  }
+
+  private replyToTab(origin: Origin, topic: string, reply: any) {
+    this.sendToTab(origin.tab, {
+      join_ref: origin.joinRef,
+      ref: origin.ref,
+      topic,
+      event: CHANNEL_EVENTS.reply,
+      payload: reply,
+    });
+  }
+
+  private sendToServer(msg: DecodedMessage): boolean {
+    if (!this.conn || this.conn.readyState !== SOCKET_STATES.open) {
+      return false;
+    }
+    this.serverEncode(msg, (data) => this.conn.send(data));
+    return true;
+  }
+
+  private sendToTab(tab: string, msg: DecodedMessage) {
+    this.encode(msg, (data) =>
+      this.coordinator.post({ type: "message", to: tab, data }),
+    );
+  }
+
+  private makeRef() {
+    this.ref++;
+    return `hub${this.ref}`;
+  }
+}
@@ -17,6 +17,33 @@
  * the Socket docs, such as configuring the `LongPoll` transport, and
  * heartbeat.
  *
+ * Outside of the browser, ie in Node, Bun and Deno, pass an absolute
+ * endpoint, and a WebSocket constructor where the runtime has none:
+ *
+ * ```javascript
+ * import WebSocket from "ws"
+ * let socket = new Socket("wss://example.com/socket", {transport: WebSocket})
+ * ```
+ *
+ * The `LongPoll` transport is built on `fetch`, so it also runs in service
+ * workers and edge runtimes. Failed polls, ie a `503` from a proxy, are
+ * retried with backoff, honoring `Retry-After`, and reported to
+ * `socket.onError` as a `PollFailure` with their status and body.
+ * Unauthorized polls are not retried: a `401`, like a `403`, closes the
+ * connection with code 1008.
+ *
+ * Where proxies block WebSockets but stream HTTP responses, the
+ * `ServerSentEvents` transport receives over an `EventSource` stream and
+ * sends in batched POSTs, with the `LongPoll` protocol on the `/sse` path.
+ * It can be the primary transport or the fallback of WebSocket:
+ *
+ * ```javascript
+ * let socket = new Socket("/socket", {
+ *   longPollFallbackMs: 2500,
+ *   fallbackTransport: ServerSentEvents
+ * })
+ * ```
+ *
  * ## Channels
  *
  * Channels are isolated, concurrent processes on the server that
@@ -42,6 +69,21 @@
  *   .receive("timeout", () => console.log("Networking issue. Still waiting..."))
  *```
  *
+ * ## Typed Events
+ *
+ * From TypeScript, a `ChannelSchema` can be passed when creating a channel
+ * to check event names, payloads and replies at compile time:
+ *
+ * ```typescript
+ * type RoomSchema = {
+ *   join: {reply: {messages: Message[]}}
+ *   inbound: {new_msg: Message}
+ *   outbound: {new_msg: {payload: {body: string}, reply: Message}}
+ * }
+ * let channel = socket.channel<RoomSchema>("room:123", {token: roomToken})
+ * channel.on("new_msg", msg => console.log(msg.body))
+ * ```
+ *
  * ## Joining
  *
  * Creating a channel with `socket.channel(topic, params)`, binds the params to
@@ -56,7 +98,19 @@
  * binary encoding will be used and the message will be sent with the binary
  * opcode.
  *
- * *Note*: binary messages are only supported on the WebSocket transport.
+ * Over the `LongPoll` and `ServerSentEvents` transports, binary frames are
+ * sent and received base64 encoded behind a `"base64:"` tag, and decoded
+ * back into `ArrayBuffer` payloads, so binary pushes and replies behave the
+ * same after falling back from WebSocket.
+ *
+ * For numeric-heavy payloads, `MessagePackSerializer` sends every message as
+ * a binary MessagePack frame, with binary payloads encoded natively. The
+ * server must use a matching serializer. The `LongPoll` transport always
+ * uses JSON:
+ *
+ * ```javascript
+ * let socket = new Socket("/socket", {serializer: MessagePackSerializer})
+ * ```
  *
  * ## Duplicate Join Subscriptions
  *
@@ -76,6 +130,24 @@
  * `receive("timeout", callback)` to abort waiting for our other `receive` hooks
  *  and take action after some period of waiting. The default timeout is 10000ms.
  *
+ * ## Awaiting Replies
+ *
+ * `socket.connect()` returns a promise, and the `Push` returned by
+ * `channel.join()`, `channel.push()` and `channel.leave()` can be awaited.
+ * They resolve with the `"ok"` response, and reject with a `PushError`
+ * on `"error"` or a `PushTimeoutError` on `"timeout"`. The `receive`
+ * hooks keep working alongside:
+ *
+ * ```javascript
+ * await socket.connect()
+ * try {
+ *   await channel.join()
+ *   let reply = await channel.push("new_msg", {body: "hello"})
+ * } catch (e) {
+ *   if (e instanceof PushTimeoutError) console.log("Networking issue...")
+ * }
+ * ```
+ *
  *
  * ## Socket Hooks
  *
@@ -87,6 +159,63 @@
  * socket.onClose( () => console.log("the connection dropped") )
  * ```
  *
+ * For the exact sequence of connection states, including reconnect attempts
+ * and their delays, use `socket.onStateChange()`:
+ *
+ * ```javascript
+ * socket.onStateChange((prev, next, reason) => {
+ *   console.log(`${prev.name} -> ${next.name} (${reason})`)
+ * })
+ * ```
+ *
+ *
+ * ## Middleware
+ *
+ * Messages can be inspected, rewritten, delayed or dropped on their way
+ * to and from the server with `socket.useOutbound()` and
+ * `socket.useInbound()`. Each middleware passes the message on with `next`:
+ *
+ * ```javascript
+ * socket.useOutbound((msg, next) => {
+ *   audit(msg.topic, msg.event)
+ *   next({...msg, payload: {...msg.payload, locale: "en"}})
+ * })
+ * socket.useInbound((msg, next) => msg.event === "beta_feature" && !beta ? null : next(msg))
+ * ```
+ *
+ *
+ * ## Recording and Replay
+ *
+ * To reproduce a realtime bug, record the traffic of a socket with a
+ * `TrafficRecorder` and play it back against the app with `ReplayTransport`:
+ *
+ * ```javascript
+ * let recorder = new TrafficRecorder()
+ * let socket = new Socket("/socket", {recorder})
+ * // ...
+ * let recording = JSON.stringify(recorder)
+ *
+ * let replayed = new Socket("/socket", {
+ *   transport: ReplayTransport.from(recording, {speed: 10})
+ * })
+ * ```
+ *
+ *
+ * ## Virtual Time
+ *
+ * Every timer of a socket, its channels, pushes and the `LongPoll` transport
+ * is scheduled with `opts.scheduler`. Pass a `VirtualClock` to test
+ * heartbeats, timeouts and reconnects without waiting on real time. The
+ * times of log records, stats, endpoint health and outbox entries are
+ * taken from it too:
+ *
+ * ```javascript
+ * let clock = new VirtualClock()
+ * let socket = new Socket("/socket", {scheduler: clock, timeout: 1000})
+ * let push = channel.push("new_msg", {body: "hi"})
+ * clock.advance(1000) // the push times out
+ * ```
+ *
  *
  * ## Channel Hooks
  *
@@ -192,10 +321,97 @@
  * @module phoenix
  */
 
+import Backoff from "./backoff";
 import Channel from "./channel";
+import VirtualClock from "./clock";
+import {
+  AuthError,
+  BufferOverflowError,
+  ConnectionError,
+  PushError,
+  PushTimeoutError,
+} from "./errors";
 import LongPoll from "./longpoll";
+import MessagePackSerializer from "./msgpack";
+import { MemoryOutboxAdapter, StorageOutboxAdapter } from "./outbox";
 import Presence from "./presence";
+import TrafficRecorder from "./recorder";
+import ReplayTransport from "./replay";
 import Serializer from "./serializer";
 import Socket from "./socket";
+import ServerSentEvents from "./sse";
+import MockServer from "./testing";
+import { traceparent } from "./tracing";
 
-export { Channel, LongPoll, Presence, Serializer, Socket };
+export {
+  AuthError,
+  Backoff,
+  BufferOverflowError,
+  Channel,
+  ConnectionError,
+  LongPoll,
+  MemoryOutboxAdapter,
+  MessagePackSerializer,
+  MockServer,
+  Presence,
+  PushError,
+  PushTimeoutError,
+  ReplayTransport,
+  Serializer,
+  ServerSentEvents,
+  Socket,
+  StorageOutboxAdapter,
+  traceparent,
+  TrafficRecorder,
+  VirtualClock,
+};
+export type { BackoffOptions, BackoffPolicy } from "./backoff";
+export type {
+  BufferLimits,
+  BufferOverflow,
+  BufferUsage,
+  OverflowPolicy,
+} from "./buffer";
+export type { ChannelSchema } from "./channel";
+export type { Scheduler } from "./clock";
+export type { EndpointHealth, EndpointStrategy } from "./endpoints";
+export type { LogCategory, LoggerOptions, LogLevel, LogRecord } from "./logger";
+export type { LongPollRequestOptions, PollFailure } from "./longpoll";
+export type {
+  HistogramSnapshot,
+  StatsSnapshot,
+  TrafficCounts,
+} from "./metrics";
+export type { Middleware } from "./middleware";
+export type { OutboxAdapter, OutboxEntry, OutboxOptions } from "./outbox";
+export type { PushStatus } from "./push";
+export type { QualityLevel, QualityOptions, QualitySnapshot } from "./quality";
+export type {
+  RecordedEvent,
+  Recording,
+  TrafficRecorderOptions,
+} from "./recorder";
+export type { ReplayOptions } from "./replay";
+export type { EventSourceLike } from "./sse";
+export type { BroadcastChannelLike, SharedConnectionOptions } from "./tabs";
+export type {
+  MockConnection,
+  MockHandler,
+  MockReply,
+  MockSerializer,
+  MockServerOptions,
+  MockTransport,
+  TopicPattern,
+} from "./testing";
+export type {
+  Span,
+  SpanInfo,
+  SpanKind,
+  Tracer,
+  TracingOptions,
+} from "./tracing";
+export type {
+  ConnectionState,
+  ConnectionStateName,
+  StateChangeCallback,
+} from "./state";
@@ -0,0 +1,146 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+export type LogCategory =
+  "transport" | "channel" | "push" | "receive" | "presence" | "state";
+
+/**
+ * - `time` - when the record was logged, in milliseconds since the epoch
+ * - `durationMs` - how long the logged operation took, ie a round trip
+ * - `data` - the payload, reason or other data of the record, redacted
+ */
+export type LogRecord = {
+  level: LogLevel;
+  category: LogCategory;
+  message: string;
+  time: number;
+  topic?: string;
+  event?: string;
+  ref?: string | null;
+  joinRef?: string | null;
+  durationMs?: number;
+  data?: unknown;
+};
+
+export type LogFields = Partial<
+  Pick<
+    LogRecord,
+    "level" | "topic" | "event" | "ref" | "joinRef" | "durationMs"
+  >
+>;
+
+export type LoggerOptions = {
+  handler: (record: LogRecord) => void;
+  level?: LogLevel;
+  levels?: Partial<Record<LogCategory, LogLevel | "off">>;
+  redact?: string[] | ((key: string, value: unknown) => boolean);
+  redactWith?: unknown;
+};
+
+const SEVERITY: Record<LogLevel | "off", number> = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3,
+  off: 4,
+};
+
+/**
+ * Builds structured `LogRecord`s for the `handler`, dropping records below
+ * the `level` of their category.
+ *
+ * Keys matched by `redact` are replaced with `redactWith` in a copy of the
+ * logged data, at any depth. A list of keys is matched case-insensitively.
+ */
+export default class Logger {
+  handler: (record: LogRecord) => void;
+  level: LogLevel;
+  levels: Partial<Record<LogCategory, LogLevel | "off">>;
+  redactKey: (key: string, value: unknown) => boolean;
+  redactWith: unknown;
+  scheduler: Scheduler;
+
+  constructor(opts: LoggerOptions, scheduler: Scheduler = defaultScheduler) {
+    this.scheduler = scheduler;
+    this.handler = opts.handler;
+    this.level = opts.level || "debug";
+    this.levels = opts.levels || {};
+    let redact = opts.redact || [];
+    if (typeof redact === "function") {
+      this.redactKey = redact;
+    } else {
+      let keys = redact.map((key) => key.toLowerCase());
+      this.redactKey = (key) => keys.indexOf(key.toLowerCase()) !== -1;
+    }
+    this.redactWith =
+      opts.redactWith === undefined ? "[REDACTED]" : opts.redactWith;
+  }
+
+  enabled(category: LogCategory, level: LogLevel = "debug"): boolean {
+    let threshold = this.levels[category] || this.level;
+    return SEVERITY[level] >= SEVERITY[threshold];
+  }
+
+  log(
+    category: LogCategory,
+    message: string,
+    data?: unknown,
+    fields: LogFields = {},
+  ) {
+    let level = fields.level || "debug";
+    if (!this.enabled(category, level)) {
+      return;
+    }
+    let record: LogRecord = {
+      level,
+      category,
+      message,
+      time: this.scheduler.now(),
+    };
+    for (let key in fields) {
+      let value = fields[key as keyof LogFields];
+      if (key !== "level" && value !== undefined) {
+        (record as Record<string, unknown>)[key] = value;
+      }
+    }
+    if (data !== undefined) {
+      record.data = this.redact(data);
+    }
+    this.handler(record);
+  }
+
+  redact(value: unknown, seen: Set<object> = new Set()): unknown {
+    if (!isPlainData(value) || seen.has(value)) {
+      return value;
+    }
+    seen.add(value);
+    let copy: unknown;
+    if (Array.isArray(value)) {
+      copy = value.map((item) => this.redact(item, seen));
+    } else {
+      let result: Record<string, unknown> = {};
+      for (let key in value) {
+        let item = (value as Record<string, unknown>)[key];
+        result[key] = this.redactKey(key, item)
+          ? this.redactWith
+          : this.redact(item, seen);
+      }
+      copy = result;
+    }
+    seen.delete(value);
+    return copy;
+  }
+}
+
+let isPlainData = (value: unknown): value is object => {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  if (!value || typeof value !== "object") {
+    return false;
+  }
+  let proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
@@ -1,14 +1,92 @@
 import Ajax from "./ajax";
+import { isBackoffPolicy } from "./backoff";
+import type { BackoffPolicy } from "./backoff";
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
 import { DEFAULT_TIMEOUT, SOCKET_STATES, TRANSPORTS } from "./constants";
-import type { AjaxRequest, AjaxRequestCallback, RequestMethod } from "./ajax";
+import type { ParsedJSON, SerializableObject } from "./constants";
+import type { AjaxRequestCallback, AjaxResponse, RequestMethod } from "./ajax";
 import type { TimerId } from "./timer";
 
 type PhxResponse = {
   status: number;
   token: string | null;
-  messages: Record<string | number, unknown>[];
+  messages: unknown[];
 };
 
+/**
+ * Options of every request, set from `opts.longPollRequest` of the `Socket`:
+ *
+ * - `headers` - sent with every GET and POST, ie an `Authorization` header
+ *   or a CSRF token. A function is called for each request with its method
+ * - `credentials` - the `fetch` credentials mode, ie `"include"` to send
+ *   cookies to another origin
+ * - `params` - extra query params of every request, or a function
+ *   returning them
+ */
+export type LongPollRequestOptions = {
+  headers?:
+    | Record<string, string>
+    | ((method: RequestMethod) => Record<string, string>);
+  credentials?: RequestCredentials;
+  params?: SerializableObject | (() => SerializableObject);
+};
+
+/**
+ * A failed request, reported to `onerror`:
+ *
+ * - `status` - the status of the poll response, or the HTTP status of a
+ *   response which is not JSON. 0 when no response arrived
+ * - `body` - the raw response body
+ * - `attempt` - how many polls in a row failed
+ * - `retryAfterMs` - the delay before polling again, or `null` when the
+ *   transport closes instead
+ */
+export type PollFailure = {
+  status: number;
+  body: string;
+  attempt: number;
+  retryAfterMs: number | null;
+};
+
+let isPhxResponse = (resp: ParsedJSON | undefined): resp is PhxResponse =>
+  !!resp &&
+  typeof resp === "object" &&
+  typeof (resp as PhxResponse).status === "number";
+
+/**
+ * Returns the status of a poll response, or the HTTP status of a failed
+ * response which is not one, ie from a proxy. 0 without a response.
+ */
+let responseStatus = (
+  resp: ParsedJSON | undefined,
+  http: AjaxResponse | undefined,
+) => {
+  if (isPhxResponse(resp)) {
+    return resp.status;
+  }
+  return http && (http.status < 200 || http.status >= 300) ? http.status : 0;
+};
+
+/**
+ * Returns the milliseconds to wait from a `Retry-After` header, given in
+ * seconds or as an HTTP date, or `null` without one.
+ */
+let parseRetryAfter = (http: AjaxResponse | undefined, now: number) => {
+  let value = http && http.headers && http.headers.get("Retry-After");
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  let date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// binary frames travel base64 encoded behind this tag, in both directions
+const BINARY_TAG = "base64:";
+
 let arrayBufferToBase64 = (buffer: ArrayBuffer) => {
   let binary = "";
   let bytes = new Uint8Array(buffer);
@@ -19,32 +97,61 @@ let arrayBufferToBase64 = (buffer: ArrayBuffer) => {
   return btoa(binary);
 };
 
+let base64ToArrayBuffer = (base64: string) => {
+  let binary = atob(base64);
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Returns the frame of a polled message, decoding tagged binary frames
+ * into an `ArrayBuffer` for `Serializer.decode`.
+ */
+let decodeFrame = (msg: unknown) => {
+  if (typeof msg === "string" && msg.startsWith(BINARY_TAG)) {
+    return base64ToArrayBuffer(msg.slice(BINARY_TAG.length));
+  }
+  return msg;
+};
+
 export default class LongPoll {
   endPoint: string | null = null;
   token: string | null = null;
   timeout: number = DEFAULT_TIMEOUT;
   skipHeartbeat: boolean = true;
-  reqs: Set<AjaxRequest> = new Set();
+  controller: AbortController = new AbortController();
   awaitingBatchAck: boolean = false;
   currentBatch: any = null;
   currentBatchTimer: TimerId | null = null;
   batchBuffer: any[] = [];
   pollEndpoint: string;
   readyState: SOCKET_STATES = SOCKET_STATES.connecting;
+  scheduler: Scheduler;
+  failedPolls: number = 0;
+  maxPollRetries: number = 5;
+  pollBackoff: ((tries: number) => number) | BackoffPolicy = (tries) =>
+    [1000, 2000, 5000][tries - 1] || 10000;
+  previousPollDelay: number | null = null;
+  pollRetryTimer: TimerId | null = null;
+  requestOptions: LongPollRequestOptions = {};
 
   onopen: (() => void) | ((event: any) => void);
   onerror: (() => void) | ((error: any) => void);
   onmessage: (() => void) | ((event: any) => void);
   onclose: (() => void) | ((event: any) => void);
 
-  constructor(endPoint: string) {
+  constructor(endPoint: string, scheduler: Scheduler = defaultScheduler) {
+    this.scheduler = scheduler;
     this.pollEndpoint = this.normalizeEndpoint(endPoint);
     this.onopen = function () {}; // noop
     this.onerror = function () {}; // noop
     this.onmessage = function () {}; // noop
     this.onclose = function () {}; // noop
     // we must wait for the caller to finish setting up our callbacks and timeout properties
-    setTimeout(() => this.poll(), 0);
+    this.scheduler.setTimeout(() => this.poll(), 0);
   }
 
   normalizeEndpoint(endPoint: string) {
@@ -58,9 +165,11 @@ export default class LongPoll {
   }
 
   endpointURL() {
+    let { params } = this.requestOptions;
+    let extra = typeof params === "function" ? params() : params || {};
     return Ajax.appendParams(
       this.pollEndpoint,
-      this.token ? { token: this.token } : {},
+      this.token ? { ...extra, token: this.token } : extra,
     );
   }
 
@@ -87,76 +196,123 @@ export default class LongPoll {
       "application/json",
       null,
       () => this.ontimeout(),
-      (resp) => {
-        let status = 0;
-        let messages: Record<string | number, unknown>[] = [];
-        if (resp) {
-          let {
-            status: respStatus,
-            messages: respMessages,
-            token,
-          } = resp as PhxResponse;
-          status = respStatus;
-          messages = respMessages;
-          this.token = token;
-        }
-
-        switch (resp && status) {
-          case 200:
-            messages.forEach((msg) => {
-              // Tasks are what things like event handlers, setTimeout callbacks,
-              // promise resolves and more are run within.
-              // In modern browsers, there are two different kinds of tasks,
-              // microtasks and macrotasks.
-              // Microtasks are mainly used for Promises, while macrotasks are
-              // used for everything else.
-              // Microtasks always have priority over macrotasks. If the JS engine
-              // is looking for a task to run, it will always try to empty the
-              // microtask queue before attempting to run anything from the
-              // macrotask queue.
-              //
-              // For the WebSocket transport, messages always arrive in their own
-              // event. This means that if any promises are resolved from within,
-              // their callbacks will always finish execution by the time the
-              // next message event handler is run.
-              //
-              // In order to emulate this behaviour, we need to make sure each
-              // onmessage handler is run within its own macrotask.
-              setTimeout(() => this.onmessage({ data: msg }), 0);
-            });
-            this.poll();
-            break;
-          case 204:
-            this.poll();
-            break;
-          case 410:
-            this.readyState = SOCKET_STATES.open;
-            this.onopen({});
-            this.poll();
-            break;
-          case 403:
-            this.onerror(403);
-            this.close(1008, "forbidden", false);
-            break;
-          case 0:
-          case 500:
-            this.onerror(500);
-            this.closeAndRetry(1011, "internal server error", 500);
-            break;
-          default:
-            throw new Error(`unhandled poll status ${status}`);
-        }
-      },
+      (resp, http) => this.onPollResponse(resp, http),
     );
   }
 
+  /**
+   * Handles a `{status, token, messages}` response of the server, polling
+   * again unless the session ended.
+   *
+   * Responses which are not JSON, ie from a proxy, are handled by their
+   * HTTP status. `401` and `403` close the transport with code 1008, so the
+   * socket can refresh credentials, while other failed polls are retried
+   * with backoff, honoring `Retry-After`, until `maxPollRetries`.
+   */
+  onPollResponse(resp: ParsedJSON | undefined, http?: AjaxResponse) {
+    let status = responseStatus(resp, http);
+    let messages: unknown[] = [];
+    if (isPhxResponse(resp)) {
+      messages = resp.messages || [];
+      this.token = resp.token;
+    }
+    if (status === 200 || status === 204 || status === 410) {
+      this.failedPolls = 0;
+      this.previousPollDelay = null;
+    }
+
+    switch (status) {
+      case 200:
+        messages.forEach((msg) => {
+          // Tasks are what things like event handlers, setTimeout callbacks,
+          // promise resolves and more are run within.
+          // In modern browsers, there are two different kinds of tasks,
+          // microtasks and macrotasks.
+          // Microtasks are mainly used for Promises, while macrotasks are
+          // used for everything else.
+          // Microtasks always have priority over macrotasks. If the JS engine
+          // is looking for a task to run, it will always try to empty the
+          // microtask queue before attempting to run anything from the
+          // macrotask queue.
+          //
+          // For the WebSocket transport, messages always arrive in their own
+          // event. This means that if any promises are resolved from within,
+          // their callbacks will always finish execution by the time the
+          // next message event handler is run.
+          //
+          // In order to emulate this behaviour, we need to make sure each
+          // onmessage handler is run within its own macrotask.
+          let data = decodeFrame(msg);
+          this.scheduler.setTimeout(() => this.onmessage({ data }), 0);
+        });
+        this.poll();
+        break;
+      case 204:
+        this.poll();
+        break;
+      case 410:
+        this.readyState = SOCKET_STATES.open;
+        this.onopen({});
+        this.poll();
+        break;
+      case 401:
+      case 403:
+        this.onerror(this.failure(status, http, null));
+        this.close(1008, status === 401 ? "unauthorized" : "forbidden", false);
+        break;
+      default:
+        this.retryPoll(status, http);
+    }
+  }
+
+  /**
+   * Reports a failed poll and polls again after the `Retry-After` of the
+   * response or the `pollBackoff` delay, or gives up once `maxPollRetries`
+   * polls in a row failed.
+   */
+  retryPoll(status: number, http?: AjaxResponse) {
+    this.failedPolls++;
+    let delay: number | null = null;
+    if (this.failedPolls <= this.maxPollRetries) {
+      delay = parseRetryAfter(http, this.scheduler.now());
+    }
+    if (this.failedPolls <= this.maxPollRetries && delay === null) {
+      delay = isBackoffPolicy(this.pollBackoff)
+        ? this.pollBackoff.delay(this.failedPolls, this.previousPollDelay)
+        : this.pollBackoff(this.failedPolls);
+    }
+    this.onerror(this.failure(status, http, delay));
+    if (delay === null) {
+      this.closeAndRetry(1011, "poll failed", false);
+      return;
+    }
+    this.previousPollDelay = delay;
+    this.pollRetryTimer = this.scheduler.setTimeout(() => {
+      this.pollRetryTimer = null;
+      this.poll();
+    }, delay);
+  }
+
+  failure(
+    status: number,
+    http: AjaxResponse | undefined,
+    retryAfterMs: number | null,
+  ): PollFailure {
+    return {
+      status,
+      body: http ? http.body : "",
+      attempt: this.failedPolls,
+      retryAfterMs,
+    };
+  }
+
   // we collect all pushes within the current event loop by
   // setTimeout 0, which optimizes back-to-back procedural
   // pushes against an empty buffer
 
   send(body: string | ArrayBuffer) {
     if (typeof body !== "string") {
-      body = arrayBufferToBase64(body);
+      body = BINARY_TAG + arrayBufferToBase64(body);
     }
     if (this.currentBatch) {
       this.currentBatch.push(body);
@@ -164,7 +320,7 @@ export default class LongPoll {
       this.batchBuffer.push(body);
     } else {
       this.currentBatch = [body];
-      this.currentBatchTimer = setTimeout(() => {
+      this.currentBatchTimer = this.scheduler.setTimeout(() => {
         this.batchSend(this.currentBatch);
         this.currentBatch = null;
       }, 0);
@@ -178,11 +334,18 @@ export default class LongPoll {
       "application/x-ndjson",
       messages.join("\n"),
       () => this.onerror("timeout"),
-      (resp) => {
-        const phxResp = resp as PhxResponse;
+      (resp, http) => {
+        let status = responseStatus(resp, http);
         this.awaitingBatchAck = false;
-        if (!phxResp || phxResp.status !== 200) {
-          this.onerror(phxResp && phxResp.status);
+        if (status === 401 || status === 403) {
+          this.onerror(this.failure(status, http, null));
+          this.close(
+            1008,
+            status === 401 ? "unauthorized" : "forbidden",
+            false,
+          );
+        } else if (status !== 200) {
+          this.onerror(this.failure(status, http, null));
           this.closeAndRetry(1011, "internal server error", false);
         } else if (this.batchBuffer.length > 0) {
           this.batchSend(this.batchBuffer);
@@ -193,17 +356,17 @@ export default class LongPoll {
   }
 
   close(code: number, reason: string, wasClean: boolean | number) {
-    for (let req of this.reqs) {
-      req.abort();
-    }
+    this.controller.abort();
     this.readyState = SOCKET_STATES.closed;
     let opts = Object.assign(
       { code: 1000, reason: undefined, wasClean: true },
       { code, reason, wasClean },
     );
     this.batchBuffer = [];
-    this.currentBatchTimer && clearTimeout(this.currentBatchTimer);
+    this.scheduler.clearTimeout(this.currentBatchTimer);
     this.currentBatchTimer = null;
+    this.scheduler.clearTimeout(this.pollRetryTimer);
+    this.pollRetryTimer = null;
     if (typeof CloseEvent !== "undefined") {
       this.onclose(new CloseEvent("close", opts));
     } else {
@@ -211,32 +374,36 @@ export default class LongPoll {
     }
   }
 
+  /**
+   * Makes a request to the poll endpoint, cancelled when the transport
+   * closes. Override to intercept requests and responses.
+   */
   ajax(
     method: RequestMethod,
     contentType: string,
-    body: Document | XMLHttpRequestBodyInit | null,
+    body: BodyInit | null,
     onCallerTimeout: () => void,
     callback: AjaxRequestCallback,
   ) {
-    let req: AjaxRequest;
-    let ontimeout = () => {
-      this.reqs.delete(req);
-      onCallerTimeout();
-    };
-    req = Ajax.request(
+    let { headers, credentials } = this.requestOptions;
+    Ajax.request(
       method,
       this.endpointURL(),
       contentType,
       body,
       this.timeout,
-      ontimeout,
-      (resp) => {
-        this.reqs.delete(req);
+      onCallerTimeout,
+      (resp, http) => {
         if (this.isActive()) {
-          callback(resp);
+          callback(resp, http);
         }
       },
+      {
+        signal: this.controller.signal,
+        scheduler: this.scheduler,
+        headers: typeof headers === "function" ? headers(method) : headers,
+        credentials,
+      },
     );
-    this.reqs.add(req);
   }
 }
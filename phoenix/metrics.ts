@@ -0,0 +1,202 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import type { PushStatus } from "./push";
+
+export type TrafficCounts = {
+  sent: number;
+  received: number;
+  bytesSent: number;
+  bytesReceived: number;
+};
+
+/**
+ * Counts of the latencies up to each bucket bound, in milliseconds.
+ * The last bucket, bounded by `Infinity`, counts every latency above the
+ * highest bound.
+ */
+export type HistogramSnapshot = {
+  buckets: { le: number; count: number }[];
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+};
+
+/**
+ * - `since` - when counting started, in milliseconds since the epoch
+ * - `topics` - traffic counts per topic and event, including heartbeats
+ *   on the `"phoenix"` topic
+ * - `latency` - round trips of `"ok"` and `"error"` replies to channel
+ *   pushes and joins. Timed out pushes are only counted in `pushTimeouts`
+ */
+export type StatsSnapshot = TrafficCounts & {
+  since: number;
+  reconnectAttempts: number;
+  fallbacks: number;
+  heartbeatTimeouts: number;
+  pushTimeouts: number;
+  joinErrors: number;
+  topics: Record<string, Record<string, TrafficCounts>>;
+  latency: { push: HistogramSnapshot; join: HistogramSnapshot };
+};
+
+export type StatsCounter =
+  | "reconnectAttempts"
+  | "fallbacks"
+  | "heartbeatTimeouts"
+  | "pushTimeouts"
+  | "joinErrors";
+
+export const DEFAULT_LATENCY_BUCKETS = [
+  10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000,
+];
+
+let emptyCounts = (): TrafficCounts => ({
+  sent: 0,
+  received: 0,
+  bytesSent: 0,
+  bytesReceived: 0,
+});
+
+export class Histogram {
+  bounds: number[];
+  counts: number[];
+  count: number = 0;
+  sum: number = 0;
+  min: number | null = null;
+  max: number | null = null;
+
+  constructor(bounds: number[]) {
+    this.bounds = bounds.slice().sort((a, b) => a - b);
+    this.counts = this.bounds.map(() => 0).concat(0);
+  }
+
+  record(value: number) {
+    let i = 0;
+    while (i < this.bounds.length && value > this.bounds[i]) {
+      i++;
+    }
+    this.counts[i]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  snapshot(): HistogramSnapshot {
+    return {
+      buckets: this.counts.map((count, i) => ({
+        le: i < this.bounds.length ? this.bounds[i] : Infinity,
+        count,
+      })),
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+    };
+  }
+}
+
+/**
+ * Counts the traffic and failures of a `Socket` since it was created or
+ * its stats were last reset.
+ */
+export default class Metrics {
+  buckets: number[];
+  since: number;
+  totals: TrafficCounts = emptyCounts();
+  topics: Record<string, Record<string, TrafficCounts>> = {};
+  counters: Record<StatsCounter, number> = {
+    reconnectAttempts: 0,
+    fallbacks: 0,
+    heartbeatTimeouts: 0,
+    pushTimeouts: 0,
+    joinErrors: 0,
+  };
+  latency: { push: Histogram; join: Histogram };
+  scheduler: Scheduler;
+
+  constructor(
+    buckets: number[] = DEFAULT_LATENCY_BUCKETS,
+    scheduler: Scheduler = defaultScheduler,
+  ) {
+    this.buckets = buckets;
+    this.scheduler = scheduler;
+    this.since = scheduler.now();
+    this.latency = {
+      push: new Histogram(buckets),
+      join: new Histogram(buckets),
+    };
+  }
+
+  reset() {
+    this.since = this.scheduler.now();
+    this.totals = emptyCounts();
+    this.topics = {};
+    for (let key in this.counters) {
+      this.counters[key as StatsCounter] = 0;
+    }
+    this.latency = {
+      push: new Histogram(this.buckets),
+      join: new Histogram(this.buckets),
+    };
+  }
+
+  increment(counter: StatsCounter) {
+    this.counters[counter]++;
+  }
+
+  recordSent(topic: string, event: string, bytes: number) {
+    let counts = this.countsFor(topic, event);
+    counts.sent++;
+    counts.bytesSent += bytes;
+    this.totals.sent++;
+    this.totals.bytesSent += bytes;
+  }
+
+  recordReceived(topic: string, event: string, bytes: number) {
+    let counts = this.countsFor(topic, event);
+    counts.received++;
+    counts.bytesReceived += bytes;
+    this.totals.received++;
+    this.totals.bytesReceived += bytes;
+  }
+
+  /**
+   * Records the reply to a push, given the milliseconds since it was sent
+   */
+  recordReply(join: boolean, status: PushStatus, latency: number) {
+    if (status === "timeout") {
+      return this.increment("pushTimeouts");
+    }
+    if (join && status === "error") {
+      this.increment("joinErrors");
+    }
+    this.latency[join ? "join" : "push"].record(latency);
+  }
+
+  snapshot(): StatsSnapshot {
+    let topics: StatsSnapshot["topics"] = {};
+    for (let topic in this.topics) {
+      topics[topic] = {};
+      for (let event in this.topics[topic]) {
+        topics[topic][event] = { ...this.topics[topic][event] };
+      }
+    }
+    return {
+      since: this.since,
+      ...this.totals,
+      ...this.counters,
+      topics,
+      latency: {
+        push: this.latency.push.snapshot(),
+        join: this.latency.join.snapshot(),
+      },
+    };
+  }
+
+  private countsFor(topic: string, event: string): TrafficCounts {
+    let events = (this.topics[topic] = this.topics[topic] || {});
+    return (events[event] = events[event] || emptyCounts());
+  }
+}
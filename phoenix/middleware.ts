@@ -0,0 +1,47 @@
+import type { DecodedMessage } from "./serializer";
+
+/**
+ * Inspects a message on its way to or from the server. Call `next` with the
+ * message, or with a rewritten copy, to pass it on to the rest of the chain.
+ * `next` may be called later to delay the message, or not at all to drop it.
+ */
+export type Middleware = (
+  msg: DecodedMessage,
+  next: (msg: DecodedMessage) => void,
+) => void;
+
+/**
+ * An ordered chain of middleware, run in the order they were added.
+ *
+ * Messages pass through synchronously while every middleware calls `next`
+ * before returning, so an empty chain does not change when messages are
+ * sent or dispatched.
+ */
+export default class MiddlewarePipeline {
+  entries: Array<[string, Middleware]> = [];
+
+  add(ref: string, middleware: Middleware) {
+    this.entries.push([ref, middleware]);
+  }
+
+  remove(refs: string[]) {
+    this.entries = this.entries.filter(([ref]) => refs.indexOf(ref) === -1);
+  }
+
+  run(msg: DecodedMessage, done: (msg: DecodedMessage) => void) {
+    let chain = this.entries.map(([, middleware]) => middleware);
+    let step = (i: number, current: DecodedMessage) => {
+      if (i === chain.length) {
+        return done(current);
+      }
+      let called = false;
+      chain[i](current, (next) => {
+        if (!called) {
+          called = true;
+          step(i + 1, next);
+        }
+      });
+    };
+    step(0, msg);
+  }
+}
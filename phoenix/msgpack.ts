@@ -0,0 +1,362 @@
+import Serializer from "./serializer";
+import type {
+  AfterDecodeCallback,
+  AfterEncodeCallback,
+  DecodedMessage,
+  EncodedMessage,
+} from "./serializer";
+
+let textEncoder: TextEncoder | null = null;
+let textDecoder: TextDecoder | null = null;
+
+class Writer {
+  bytes: Uint8Array = new Uint8Array(256);
+  view: DataView = new DataView(this.bytes.buffer);
+  offset: number = 0;
+
+  reserve(size: number) {
+    if (this.offset + size <= this.bytes.length) {
+      return;
+    }
+    let length = this.bytes.length * 2;
+    while (length < this.offset + size) {
+      length *= 2;
+    }
+    let bytes = new Uint8Array(length);
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  uint8(value: number) {
+    this.reserve(1);
+    this.view.setUint8(this.offset++, value);
+  }
+
+  /**
+   * Writes a type byte followed by a big-endian value of `size` bytes
+   */
+  typed(type: number, size: 1 | 2 | 4 | 8, value: number | bigint): void {
+    this.uint8(type);
+    this.reserve(size);
+    let at = this.offset;
+    this.offset += size;
+    switch (type) {
+      case 0xcb:
+        return this.view.setFloat64(at, value as number);
+      case 0xcf:
+        return this.view.setBigUint64(at, BigInt(value));
+      case 0xd3:
+        return this.view.setBigInt64(at, BigInt(value));
+      case 0xd0:
+        return this.view.setInt8(at, value as number);
+      case 0xd1:
+        return this.view.setInt16(at, value as number);
+      case 0xd2:
+        return this.view.setInt32(at, value as number);
+    }
+    switch (size) {
+      case 1:
+        return this.view.setUint8(at, value as number);
+      case 2:
+        return this.view.setUint16(at, value as number);
+      default:
+        return this.view.setUint32(at, value as number);
+    }
+  }
+
+  raw(bytes: Uint8Array) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  // the fix, 8, 16 and 32 bit headers of strings, binaries, arrays and maps
+  header(length: number, fix: number | null, fixMax: number, types: number[]) {
+    if (fix !== null && length <= fixMax) {
+      this.uint8(fix | length);
+    } else if (types[0] && length < 0x100) {
+      this.typed(types[0], 1, length);
+    } else if (length < 0x10000) {
+      this.typed(types[1], 2, length);
+    } else {
+      this.typed(types[2], 4, length);
+    }
+  }
+
+  value(value: unknown): void {
+    if (value === null || value === undefined) {
+      return this.uint8(0xc0);
+    }
+    switch (typeof value) {
+      case "boolean":
+        return this.uint8(value ? 0xc3 : 0xc2);
+      case "number":
+        return this.number(value);
+      case "bigint":
+        return value < 0
+          ? this.typed(0xd3, 8, value)
+          : this.typed(0xcf, 8, value);
+      case "string": {
+        textEncoder = textEncoder || new TextEncoder();
+        let bytes = textEncoder.encode(value);
+        this.header(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+        return this.raw(bytes);
+      }
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      let bytes =
+        value instanceof ArrayBuffer
+          ? new Uint8Array(value)
+          : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+      this.header(bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+      return this.raw(bytes);
+    }
+    if (Array.isArray(value)) {
+      this.header(value.length, 0x90, 15, [0, 0xdc, 0xdd]);
+      return value.forEach((item) => this.value(item));
+    }
+    let object = value as Record<string, unknown> & { toJSON?: () => unknown };
+    if (typeof object.toJSON === "function") {
+      // ie dates, as JSON.stringify encodes them
+      return this.value(object.toJSON());
+    }
+    // undefined values are left out, as by JSON.stringify
+    let keys = Object.keys(object).filter((key) => object[key] !== undefined);
+    this.header(keys.length, 0x80, 15, [0, 0xde, 0xdf]);
+    keys.forEach((key) => {
+      this.value(key);
+      this.value(object[key]);
+    });
+  }
+
+  // integers beyond the safe range are not exact, so they are encoded as
+  // floats, as they decode back into the same number
+  number(value: number): void {
+    if (!Number.isSafeInteger(value)) {
+      return this.typed(0xcb, 8, value);
+    }
+    if (value >= 0) {
+      if (value < 0x80) {
+        return this.uint8(value);
+      }
+      if (value < 0x100) {
+        return this.typed(0xcc, 1, value);
+      }
+      if (value < 0x10000) {
+        return this.typed(0xcd, 2, value);
+      }
+      if (value < 0x100000000) {
+        return this.typed(0xce, 4, value);
+      }
+      return this.typed(0xcf, 8, value);
+    }
+    if (value >= -32) {
+      return this.uint8(value & 0xff);
+    }
+    if (value >= -0x80) {
+      return this.typed(0xd0, 1, value);
+    }
+    if (value >= -0x8000) {
+      return this.typed(0xd1, 2, value);
+    }
+    if (value >= -0x80000000) {
+      return this.typed(0xd2, 4, value);
+    }
+    return this.typed(0xd3, 8, value);
+  }
+
+  buffer(): ArrayBuffer {
+    return this.bytes.buffer.slice(0, this.offset);
+  }
+}
+
+class Reader {
+  buffer: ArrayBuffer;
+  view: DataView;
+  offset: number = 0;
+
+  constructor(buffer: ArrayBuffer) {
+    this.buffer = buffer;
+    this.view = new DataView(buffer);
+  }
+
+  value(): unknown {
+    let type = this.view.getUint8(this.offset++);
+    if (type < 0x80) {
+      return type;
+    }
+    if (type < 0x90) {
+      return this.map(type & 0x0f);
+    }
+    if (type < 0xa0) {
+      return this.array(type & 0x0f);
+    }
+    if (type < 0xc0) {
+      return this.string(type & 0x1f);
+    }
+    if (type >= 0xe0) {
+      return type - 0x100;
+    }
+    switch (type) {
+      case 0xc0:
+        return null;
+      case 0xc2:
+        return false;
+      case 0xc3:
+        return true;
+      case 0xc4:
+        return this.binary(this.uint(1));
+      case 0xc5:
+        return this.binary(this.uint(2));
+      case 0xc6:
+        return this.binary(this.uint(4));
+      case 0xca:
+        return this.read(4, this.view.getFloat32(this.offset));
+      case 0xcb:
+        return this.read(8, this.view.getFloat64(this.offset));
+      case 0xcc:
+        return this.uint(1);
+      case 0xcd:
+        return this.uint(2);
+      case 0xce:
+        return this.uint(4);
+      case 0xcf:
+        return this.int64(this.view.getBigUint64(this.offset));
+      case 0xd0:
+        return this.read(1, this.view.getInt8(this.offset));
+      case 0xd1:
+        return this.read(2, this.view.getInt16(this.offset));
+      case 0xd2:
+        return this.read(4, this.view.getInt32(this.offset));
+      case 0xd3:
+        return this.int64(this.view.getBigInt64(this.offset));
+      case 0xd9:
+        return this.string(this.uint(1));
+      case 0xda:
+        return this.string(this.uint(2));
+      case 0xdb:
+        return this.string(this.uint(4));
+      case 0xdc:
+        return this.array(this.uint(2));
+      case 0xdd:
+        return this.array(this.uint(4));
+      case 0xde:
+        return this.map(this.uint(2));
+      case 0xdf:
+        return this.map(this.uint(4));
+      default:
+        throw new Error(`unsupported MessagePack type 0x${type.toString(16)}`);
+    }
+  }
+
+  read<T>(size: number, value: T): T {
+    this.offset += size;
+    return value;
+  }
+
+  uint(size: 1 | 2 | 4): number {
+    switch (size) {
+      case 1:
+        return this.read(1, this.view.getUint8(this.offset));
+      case 2:
+        return this.read(2, this.view.getUint16(this.offset));
+      case 4:
+        return this.read(4, this.view.getUint32(this.offset));
+    }
+  }
+
+  // 64 bit integers are numbers while they are safe
+  int64(value: bigint): number | bigint {
+    this.offset += 8;
+    let number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+
+  string(length: number): string {
+    let bytes = new Uint8Array(this.buffer, this.offset, length);
+    this.offset += length;
+    textDecoder = textDecoder || new TextDecoder();
+    return textDecoder.decode(bytes);
+  }
+
+  binary(length: number): ArrayBuffer {
+    return this.read(
+      length,
+      this.buffer.slice(this.offset, this.offset + length),
+    );
+  }
+
+  array(length: number): unknown[] {
+    let items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(this.value());
+    }
+    return items;
+  }
+
+  map(length: number): Record<string, unknown> {
+    let object: Record<string, unknown> = {};
+    for (let i = 0; i < length; i++) {
+      let key = this.value();
+      object[String(key)] = this.value();
+    }
+    return object;
+  }
+}
+
+/**
+ * Encodes `value` as MessagePack.
+ */
+export let pack = (value: unknown): ArrayBuffer => {
+  let writer = new Writer();
+  writer.value(value);
+  return writer.buffer();
+};
+
+/**
+ * Decodes a MessagePack value. Binaries decode to `ArrayBuffer`s, and 64
+ * bit integers beyond `Number.MAX_SAFE_INTEGER` to `BigInt`s.
+ */
+export let unpack = (buffer: ArrayBuffer): unknown =>
+  new Reader(buffer).value();
+
+/**
+ * A serializer sending every message as a binary MessagePack frame of
+ * `[join_ref, ref, topic, event, payload]`, the layout of the JSON
+ * `Serializer`. Binary payloads and reply responses are encoded as
+ * MessagePack binaries and decode back into `ArrayBuffer`s wherever they
+ * appear in a payload. Text frames are decoded as JSON.
+ *
+ * The server must use a matching MessagePack serializer.
+ *
+ * @example
+ * let socket = new Socket("/socket", {serializer: MessagePackSerializer})
+ */
+export default {
+  encode(msg: DecodedMessage, callback: AfterEncodeCallback) {
+    return callback(
+      pack([msg.join_ref, msg.ref, msg.topic, msg.event, msg.payload]),
+    );
+  },
+
+  decode(rawMsg: EncodedMessage, callback: AfterDecodeCallback) {
+    if (typeof rawMsg === "string") {
+      return Serializer.decode(rawMsg, callback);
+    }
+    let [join_ref, ref, topic, event, payload] = unpack(rawMsg) as [
+      string | null,
+      string | null,
+      string,
+      string,
+      DecodedMessage["payload"],
+    ];
+    return callback({
+      join_ref,
+      ref,
+      topic,
+      event,
+      payload,
+    } as DecodedMessage);
+  },
+};
@@ -0,0 +1,191 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+
+export type OutboxEntry = {
+  id: string;
+  topic: string;
+  event: string;
+  payload: Record<string | number, unknown>;
+  timeout: number;
+  insertedAt: number;
+};
+
+/**
+ * Persists outbox entries per topic. Implement this to back the outbox
+ * with any store, such as IndexedDB wrapped in a synchronous cache.
+ */
+export interface OutboxAdapter {
+  load(topic: string): OutboxEntry[];
+  save(topic: string, entries: OutboxEntry[]): void;
+}
+
+export type StorageLike = Pick<Storage, "getItem" | "setItem" | "removeItem">;
+
+export type OutboxOptions = {
+  adapter?: OutboxAdapter;
+  beforeReplay?: (entry: OutboxEntry) => OutboxEntry | null | undefined;
+  ttl?: number;
+};
+
+let sessionStore = (): StorageLike | null =>
+  typeof sessionStorage !== "undefined" ? sessionStorage : null;
+
+/**
+ * Keeps entries for the lifetime of the page. The default adapter.
+ */
+export class MemoryOutboxAdapter implements OutboxAdapter {
+  entries: Map<string, OutboxEntry[]> = new Map();
+
+  load(topic: string) {
+    return this.entries.get(topic) || [];
+  }
+
+  save(topic: string, entries: OutboxEntry[]) {
+    if (entries.length === 0) {
+      this.entries.delete(topic);
+    } else {
+      this.entries.set(topic, entries);
+    }
+  }
+}
+
+/**
+ * Keeps entries as JSON in a Storage compatible object, such as
+ * `localStorage`, so that they survive page reloads.
+ *
+ * Each tab keeps its entries under its own key, so tabs sharing the
+ * storage never replay the pushes of another. The id of the tab is kept
+ * in `session`, `sessionStorage` by default, to find its entries again
+ * after a reload. Without one, entries only last for the page.
+ *
+ * @example
+ * new Socket("/socket", {
+ *   outbox: {adapter: new StorageOutboxAdapter(localStorage)}
+ * })
+ */
+export class StorageOutboxAdapter implements OutboxAdapter {
+  storage: StorageLike;
+  prefix: string;
+  tab: string;
+
+  constructor(
+    storage: StorageLike,
+    prefix: string = "phx:outbox:",
+    session: StorageLike | null = sessionStore(),
+  ) {
+    this.storage = storage;
+    this.prefix = prefix;
+    let tabKey = `${prefix}tab`;
+    let tab = session && session.getItem(tabKey);
+    if (!tab) {
+      tab = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      session && session.setItem(tabKey, tab);
+    }
+    this.tab = tab;
+  }
+
+  key(topic: string) {
+    return `${this.prefix}${this.tab}:${topic}`;
+  }
+
+  load(topic: string) {
+    let stored = this.storage.getItem(this.key(topic));
+    if (!stored) {
+      return [];
+    }
+    try {
+      return JSON.parse(stored) as OutboxEntry[];
+    } catch (e) {
+      console && console.log("failed to parse outbox entries", stored);
+      return [];
+    }
+  }
+
+  save(topic: string, entries: OutboxEntry[]) {
+    try {
+      if (entries.length === 0) {
+        this.storage.removeItem(this.key(topic));
+      } else {
+        this.storage.setItem(this.key(topic), JSON.stringify(entries));
+      }
+    } catch (e) {
+      // the channel still replays the pushes of this page, they just won't survive a reload
+      console && console.log("failed to persist outbox entries", e);
+    }
+  }
+}
+
+/**
+ * Holds the pushes a channel buffers while it cannot push, so they can
+ * be replayed in order once the channel rejoins, even after a reload.
+ * Only channel pushes are kept. The socket `sendBuffer` holds joins,
+ * leaves and heartbeats of the current connection, which are not worth
+ * replaying on another page.
+ *
+ * @param opts.adapter - Where entries are persisted. Defaults to memory.
+ * @param opts.beforeReplay - Called with each entry restored from a previous
+ * page before it is replayed. Return the entry, modified or unmodified,
+ * or `null` to drop it.
+ * @param opts.ttl - How long in milliseconds an entry waits to be replayed,
+ * after which its push times out. Defaults to no limit.
+ */
+export default class Outbox {
+  adapter: OutboxAdapter;
+  beforeReplay: (entry: OutboxEntry) => OutboxEntry | null | undefined;
+  ttl: number;
+  ref: number = 0;
+  scheduler: Scheduler;
+
+  constructor(
+    opts: OutboxOptions = {},
+    scheduler: Scheduler = defaultScheduler,
+  ) {
+    this.scheduler = scheduler;
+    this.adapter = opts.adapter || new MemoryOutboxAdapter();
+    this.beforeReplay = opts.beforeReplay || ((entry) => entry);
+    this.ttl = opts.ttl || Infinity;
+  }
+
+  enqueue(
+    topic: string,
+    event: string,
+    payload: Record<string | number, unknown>,
+    timeout: number,
+  ): OutboxEntry {
+    let insertedAt = this.scheduler.now();
+    let entry = {
+      id: `${insertedAt.toString(36)}-${this.ref++}`,
+      topic,
+      event,
+      payload,
+      timeout,
+      insertedAt,
+    };
+    this.adapter.save(topic, this.adapter.load(topic).concat(entry));
+    return entry;
+  }
+
+  /**
+   * Removes the entry with `id`, ie once its push expired or was dropped.
+   */
+  remove(topic: string, id: string) {
+    let entries = this.adapter.load(topic);
+    let kept = entries.filter((entry) => entry.id !== id);
+    if (kept.length !== entries.length) {
+      this.adapter.save(topic, kept);
+    }
+  }
+
+  /**
+   * Removes all entries for the topic, returning those within the `ttl`
+   * in insertion order.
+   */
+  take(topic: string): OutboxEntry[] {
+    let entries = this.adapter.load(topic);
+    if (entries.length > 0) {
+      this.adapter.save(topic, []);
+    }
+    let now = this.scheduler.now();
+    return entries.filter((entry) => now - entry.insertedAt < this.ttl);
+  }
+}
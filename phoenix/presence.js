@@ -22,6 +22,7 @@ export default class Presence {
 
     this.channel.on(events.state, (newState) => {
       let { onJoin, onLeave, onSync } = this.caller;
+      this.log(events.state, newState);
 
       this.joinRef = this.channel.joinRef();
       this.state = Presence.syncState(this.state, newState, onJoin, onLeave);
@@ -35,6 +36,7 @@ export default class Presence {
 
     this.channel.on(events.diff, (diff) => {
       let { onJoin, onLeave, onSync } = this.caller;
+      this.log(events.diff, diff);
 
       if (this.inPendingSyncState()) {
         this.pendingDiffs.push(diff);
@@ -61,6 +63,18 @@ export default class Presence {
     return Presence.list(this.state, by);
   }
 
+  log(event, data) {
+    let socket = this.channel.socket;
+    if (socket && socket.hasLogger("presence")) {
+      let { topic } = this.channel;
+      socket.log("presence", `${event} ${topic}`, data, {
+        topic,
+        event,
+        joinRef: this.channel.joinRef(),
+      });
+    }
+  }
+
   inPendingSyncState() {
     return !this.joinRef || this.joinRef !== this.channel.joinRef();
   }
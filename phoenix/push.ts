@@ -1,8 +1,40 @@
-import Channel from "./channel";
+import type Channel from "./channel";
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import { CHANNEL_EVENTS } from "./constants";
+import { BufferOverflowError, PushError, PushTimeoutError } from "./errors";
 import type { TimerId } from "./timer";
+import type { Span, TracingOptions } from "./tracing";
 
-type PushStatus = "ok" | "error" | "timeout";
-type ClosuredPayload = () => Record<string | number, unknown>;
+export type PushStatus = "ok" | "error" | "timeout";
+export type ClosuredPayload = () => Record<string | number, unknown>;
+
+/**
+ * The response handed to `receive` callbacks for each status.
+ */
+export type PushResponses<Reply, ErrorReply> = {
+  ok: Reply;
+  error: ErrorReply;
+  timeout: unknown;
+};
+
+export type ReceiveCallback<
+  Reply,
+  ErrorReply,
+  Status extends PushStatus = PushStatus,
+> = (resp: PushResponses<Reply, ErrorReply>[Status]) => unknown;
+
+type ReceiveHook<Reply, ErrorReply> = {
+  [Status in PushStatus]: {
+    status: Status;
+    callback: ReceiveCallback<Reply, ErrorReply, Status>;
+  };
+}[PushStatus];
+
+type ReplyPayload = {
+  status: PushStatus;
+  response?: any;
+};
 
 /**
  * Initializes the Push
@@ -10,18 +42,38 @@ type ClosuredPayload = () => Record<string | number, unknown>;
  * @param event - The event, for example `"phx_join"`
  * @param payload - The payload, for example `{user_id: 123}`
  * @param timeout - The push timeout in milliseconds
+ *
+ * `Reply` and `ErrorReply` type the `"ok"` and `"error"` responses,
+ * and are inferred from the channel schema by `channel.push`.
+ *
+ * A Push is also awaitable. It resolves with the `"ok"` response and
+ * rejects with a `PushError` on `"error"` or a `PushTimeoutError` on
+ * `"timeout"`, alongside any `receive` hooks. A push rejected by a full
+ * send buffer rejects with a `BufferOverflowError`.
+ *
+ * With `tracing` enabled on the socket, each send opens a span which ends
+ * with the status of the reply. A send before the previous one was replied
+ * to, ie a rejoin after the connection dropped, ends the previous span with
+ * an `"error"` status.
  */
-export default class Push {
+export default class Push<
+  Reply = any,
+  ErrorReply = any,
+> implements PromiseLike<Reply> {
   channel: Channel;
   event: string;
   payload: ClosuredPayload;
   ref: string | null = null;
   refEvent: string | null = null;
-  receivedResp: Record<string | number, unknown> | null = null;
+  receivedResp: ReplyPayload | null = null;
   timeout: number;
   timeoutTimer: TimerId | null = null;
-  recHooks: any[] = [];
+  recHooks: ReceiveHook<Reply, ErrorReply>[] = [];
   sent: boolean = false;
+  settled: Promise<Reply> | null = null;
+  span: Span | null = null;
+  attempts: number = 0;
+  sentAt: number = 0;
 
   constructor(
     channel: Channel,
@@ -51,31 +103,82 @@ export default class Push {
     }
     this.startTimeout();
     this.sent = true;
-    this.channel.socket.push({
+    this.sentAt = this.scheduler().now();
+    this.attempts++;
+    let accepted = this.channel.socket.push({
       topic: this.channel.topic,
       event: this.event,
-      payload: this.payload(),
+      payload: this.traced(this.payload()),
       ref: this.ref,
       join_ref: this.channel.joinRef(),
     });
+    if (accepted === false) {
+      this.trigger(
+        "error",
+        new BufferOverflowError(
+          this.channel.topic,
+          this.event,
+          this.channel.socket.sendBufferUsage(),
+        ),
+      );
+    }
   }
 
-  receive(
-    status: PushStatus,
-    callback: (
-      // resp: Record<string | number, unknown> | null | undefined,
-      resp?: any,
-    ) => unknown,
+  receive<Status extends PushStatus>(
+    status: Status,
+    callback: ReceiveCallback<Reply, ErrorReply, Status>,
   ) {
     if (this.hasReceived(status)) {
       callback(this?.receivedResp?.response);
     }
 
-    this.recHooks.push({ status, callback });
+    this.recHooks.push({ status, callback } as ReceiveHook<Reply, ErrorReply>);
     return this;
   }
 
-  private reset() {
+  /**
+   * Returns a promise of the first `"ok"`, `"error"` or `"timeout"` reply.
+   *
+   * @example
+   * let {messages} = await channel.join()
+   */
+  promise(): Promise<Reply> {
+    if (!this.settled) {
+      this.settled = new Promise((resolve, reject) => {
+        this.receive("ok", resolve)
+          .receive("error", (response) =>
+            // client side failures, such as a full send buffer, reject as is
+            reject(
+              response instanceof Error
+                ? response
+                : new PushError(this.channel.topic, this.event, response),
+            ),
+          )
+          .receive("timeout", () =>
+            reject(
+              new PushTimeoutError(
+                this.channel.topic,
+                this.event,
+                this.timeout,
+              ),
+            ),
+          );
+      });
+    }
+    return this.settled;
+  }
+
+  then<TResult1 = Reply, TResult2 = never>(
+    onFulfilled?: ((value: Reply) => TResult1 | PromiseLike<TResult1>) | null,
+    onRejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null,
+  ): Promise<TResult1 | TResult2> {
+    return this.promise().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * @internal
+   */
+  reset() {
     this.cancelRefEvent();
     this.ref = null;
     this.refEvent = null;
@@ -83,7 +186,7 @@ export default class Push {
     this.sent = false;
   }
 
-  private matchReceive({ status, response, _ref }: any) {
+  private matchReceive({ status, response }: ReplyPayload) {
     this.recHooks
       .filter((h) => h.status === status)
       .forEach((h) => h.callback(response));
@@ -96,14 +199,20 @@ export default class Push {
     this.channel.off(this.refEvent);
   }
 
-  private cancelTimeout() {
+  /**
+   * @internal
+   */
+  cancelTimeout() {
     if (this.timeoutTimer) {
-      clearTimeout(this.timeoutTimer);
+      this.scheduler().clearTimeout(this.timeoutTimer);
     }
     this.timeoutTimer = null;
   }
 
-  private startTimeout() {
+  /**
+   * @internal
+   */
+  startTimeout() {
     if (this.timeoutTimer) {
       this.cancelTimeout();
     }
@@ -111,23 +220,88 @@ export default class Push {
     this.refEvent = this.channel.replyEventName(this.ref);
 
     this.refEvent &&
-      this.channel.on(this.refEvent, (payload: any) => {
+      this.channel.bind(this.refEvent, (payload: ReplyPayload) => {
         this.cancelRefEvent();
         this.cancelTimeout();
+        this.endSpan(payload.status, payload.response);
+        this.recordReply(payload);
         this.receivedResp = payload;
         this.matchReceive(payload);
       });
 
-    this.timeoutTimer = setTimeout(() => {
+    this.timeoutTimer = this.scheduler().setTimeout(() => {
       this.trigger("timeout", {});
     }, this.timeout);
   }
 
+  /**
+   * Opens the span of this send, and injects its trace context into
+   * the payload unless the payload is binary.
+   */
+  private traced(payload: Record<string | number, unknown>) {
+    this.endSpan("error", { reason: "resent" });
+    let tracing: TracingOptions | null = this.channel.socket.tracing;
+    if (!tracing) {
+      return payload;
+    }
+    let kind: "push" | "join" | "rejoin" = "push";
+    if (this.event === CHANNEL_EVENTS.join) {
+      kind = this.attempts > 1 ? "rejoin" : "join";
+    }
+    this.span =
+      tracing.tracer.startSpan({
+        kind,
+        topic: this.channel.topic,
+        event: this.event,
+        ref: this.ref,
+        joinRef: this.channel.joinRef(),
+        attempt: this.attempts,
+      }) || null;
+
+    let parent = this.span && this.span.traceparent;
+    if (
+      !parent ||
+      tracing.propagate === false ||
+      !payload ||
+      Object.getPrototypeOf(payload) !== Object.prototype
+    ) {
+      return payload;
+    }
+    return { ...payload, [tracing.key || "traceparent"]: parent };
+  }
+
+  /**
+   * Client side failures, such as a full send buffer, are not replies.
+   */
+  private recordReply({ status, response }: ReplyPayload) {
+    let metrics = this.channel.socket.metrics;
+    if (metrics && !(response instanceof Error)) {
+      metrics.recordReply(
+        this.event === CHANNEL_EVENTS.join,
+        status,
+        this.scheduler().now() - this.sentAt,
+      );
+    }
+  }
+
+  private endSpan(status: PushStatus, response: unknown) {
+    let span = this.span;
+    this.span = null;
+    span && span.end(status, response);
+  }
+
+  private scheduler(): Scheduler {
+    return this.channel.socket.scheduler || defaultScheduler;
+  }
+
   private hasReceived(status: PushStatus) {
     return this.receivedResp && this.receivedResp.status === status;
   }
 
-  private trigger(status: PushStatus, response: any) {
-    this.channel.trigger(this.refEvent, { status, response });
+  /**
+   * @internal
+   */
+  trigger(status: PushStatus, response: any) {
+    this.channel.trigger(this.refEvent as string, { status, response });
   }
 }
@@ -0,0 +1,134 @@
+export type QualityLevel = "good" | "degraded" | "poor";
+
+export type QualityOptions = {
+  historySize?: number;
+  degradedRttMs?: number;
+  poorRttMs?: number;
+  degradedJitterMs?: number;
+  poorJitterMs?: number;
+  lateHeartbeatMs?: number;
+};
+
+export type QualitySnapshot = {
+  level: QualityLevel;
+  rtt: number | null;
+  averageRtt: number | null;
+  jitter: number | null;
+  missedHeartbeats: number;
+  overdue: boolean;
+  samples: number[];
+};
+
+type Sample = { rtt: number; late: boolean };
+
+/**
+ * Classifies the link from a rolling history of heartbeat and ping
+ * round trips on the current connection.
+ *
+ * - `jitter` is the mean difference between consecutive RTT samples
+ * - `missedHeartbeats` counts the heartbeats in the history which were not
+ *   answered within `lateHeartbeatMs`
+ * - `overdue` is true while the current heartbeat is unanswered past
+ *   `lateHeartbeatMs`, ahead of the heartbeat timeout closing the connection
+ *
+ * The link is `"poor"` while a heartbeat is overdue, more than one heartbeat
+ * was missed, or RTT or jitter reach their poor thresholds. It is
+ * `"degraded"` when one heartbeat was missed or either reaches its degraded
+ * threshold, and `"good"` otherwise.
+ */
+export default class ConnectionQuality {
+  historySize: number;
+  degradedRttMs: number;
+  poorRttMs: number;
+  degradedJitterMs: number;
+  poorJitterMs: number;
+  samples: Sample[] = [];
+  overdue: boolean = false;
+  level: QualityLevel = "good";
+  onChange: (snapshot: QualitySnapshot, previous: QualityLevel) => void;
+
+  constructor(
+    opts: QualityOptions,
+    onChange: (snapshot: QualitySnapshot, previous: QualityLevel) => void,
+  ) {
+    this.historySize = opts.historySize || 10;
+    this.degradedRttMs = opts.degradedRttMs || 500;
+    this.poorRttMs = opts.poorRttMs || 2000;
+    this.degradedJitterMs = opts.degradedJitterMs || 200;
+    this.poorJitterMs = opts.poorJitterMs || 1000;
+    this.onChange = onChange;
+  }
+
+  /**
+   * Records a round trip. `late` marks heartbeats answered after `lateHeartbeatMs`.
+   */
+  recordRtt(rtt: number, late: boolean = false) {
+    this.samples.push({ rtt, late });
+    if (this.samples.length > this.historySize) {
+      this.samples.shift();
+    }
+    this.overdue = false;
+    this.classify();
+  }
+
+  recordOverdue() {
+    this.overdue = true;
+    this.classify();
+  }
+
+  /**
+   * Forgets the history of the previous connection.
+   */
+  reset() {
+    this.samples = [];
+    this.overdue = false;
+    this.classify();
+  }
+
+  snapshot(): QualitySnapshot {
+    let rtts = this.samples.map((sample) => sample.rtt);
+    let averageRtt =
+      rtts.length > 0 ? rtts.reduce((a, b) => a + b, 0) / rtts.length : null;
+    let jitter = null;
+    if (rtts.length > 1) {
+      let deltas = rtts.slice(1).map((rtt, i) => Math.abs(rtt - rtts[i]));
+      jitter = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+    }
+    return {
+      level: this.level,
+      rtt: rtts.length > 0 ? rtts[rtts.length - 1] : null,
+      averageRtt,
+      jitter,
+      missedHeartbeats: this.samples.filter((sample) => sample.late).length,
+      overdue: this.overdue,
+      samples: rtts,
+    };
+  }
+
+  private classify() {
+    let { averageRtt, jitter, missedHeartbeats } = this.snapshot();
+    let reaches = (value: number | null, threshold: number) =>
+      value !== null && value >= threshold;
+    let level: QualityLevel = "good";
+    if (
+      this.overdue ||
+      missedHeartbeats > 1 ||
+      reaches(averageRtt, this.poorRttMs) ||
+      reaches(jitter, this.poorJitterMs)
+    ) {
+      level = "poor";
+    } else if (
+      missedHeartbeats > 0 ||
+      reaches(averageRtt, this.degradedRttMs) ||
+      reaches(jitter, this.degradedJitterMs)
+    ) {
+      level = "degraded";
+    }
+
+    let previous = this.level;
+    this.level = level;
+    if (level !== previous) {
+      this.onChange(this.snapshot(), previous);
+    }
+  }
+}
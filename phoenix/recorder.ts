@@ -0,0 +1,140 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import type { EncodedMessage } from "./serializer";
+
+/**
+ * An event of a recorded connection, `at` milliseconds after recording
+ * started:
+ *
+ * - `connect` - a transport was created for `url`
+ * - `open`, `close` and `error` - the transport opened, closed with `code`,
+ *   `reason` and `wasClean`, or errored
+ * - `disconnect` - the socket closed the transport with `code` and `reason`
+ * - `send` and `receive` - an encoded frame was sent or received. Binary
+ *   frames are base64 encoded, with `binary` set
+ */
+export type RecordedEvent = {
+  at: number;
+  type:
+    "connect" | "open" | "close" | "error" | "disconnect" | "send" | "receive";
+  url?: string;
+  transport?: string;
+  data?: string;
+  binary?: boolean;
+  code?: number;
+  reason?: string;
+  wasClean?: boolean;
+};
+
+/**
+ * - `maxEvents` - how many events are kept, dropping the oldest ones beyond
+ *   it. Defaults to 10000. A recording whose first connection was dropped is
+ *   replayed from its next `connect`
+ */
+export type TrafficRecorderOptions = {
+  maxEvents?: number;
+};
+
+/**
+ * The portable JSON format of a recording.
+ */
+export type Recording = {
+  version: 1;
+  startedAt: number;
+  events: RecordedEvent[];
+};
+
+export let encodeFrame = (
+  data: EncodedMessage,
+): Pick<RecordedEvent, "data" | "binary"> => {
+  if (typeof data === "string") {
+    return { data };
+  }
+  let bytes = new Uint8Array(data);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return { data: btoa(binary), binary: true };
+};
+
+export let decodeFrame = (event: RecordedEvent): EncodedMessage => {
+  if (!event.binary) {
+    return event.data || "";
+  }
+  let binary = atob(event.data || "");
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Records the frames and lifecycle events of every connection of the
+ * `Socket` it is passed to as `opts.recorder`, up to `maxEvents`. Times are
+ * taken from the `scheduler`, which should be the `opts.scheduler` of the
+ * socket.
+ *
+ * @example
+ * let recorder = new TrafficRecorder()
+ * let socket = new Socket("/socket", {recorder})
+ * // later, ie from a bug report
+ * upload(JSON.stringify(recorder))
+ */
+export default class TrafficRecorder {
+  startedAt: number;
+  events: RecordedEvent[] = [];
+  recording: boolean = true;
+  maxEvents: number;
+  scheduler: Scheduler;
+
+  constructor(
+    opts: TrafficRecorderOptions = {},
+    scheduler: Scheduler = defaultScheduler,
+  ) {
+    this.scheduler = scheduler;
+    this.maxEvents = opts.maxEvents || 10000;
+    this.startedAt = scheduler.now();
+  }
+
+  start() {
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  clear() {
+    this.startedAt = this.scheduler.now();
+    this.events = [];
+  }
+
+  record(type: RecordedEvent["type"], fields: Partial<RecordedEvent> = {}) {
+    if (this.recording) {
+      this.events.push({
+        ...fields,
+        at: this.scheduler.now() - this.startedAt,
+        type,
+      });
+      if (this.events.length > this.maxEvents) {
+        this.events.shift();
+      }
+    }
+  }
+
+  recordFrame(type: "send" | "receive", data: EncodedMessage) {
+    if (this.recording) {
+      this.record(type, encodeFrame(data));
+    }
+  }
+
+  toJSON(): Recording {
+    return {
+      version: 1,
+      startedAt: this.startedAt,
+      events: this.events.map((event) => ({ ...event })),
+    };
+  }
+}
@@ -0,0 +1,161 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import { SOCKET_STATES } from "./constants";
+import { decodeFrame } from "./recorder";
+import type { RecordedEvent, Recording } from "./recorder";
+import type { EncodedMessage } from "./serializer";
+import type { TimerId } from "./timer";
+
+/**
+ * - `speed` - how many times faster than recorded the events are played.
+ *   Defaults to 1, the original timing
+ * - `maxGapMs` - caps the pause between two events, to skip idle periods
+ * - `scheduler` - schedules the events, ie the `VirtualClock` driving the
+ *   socket
+ */
+export type ReplayOptions = {
+  speed?: number;
+  maxGapMs?: number;
+  scheduler?: Scheduler;
+};
+
+type Cursor = { index: number };
+
+const PLAYED = ["open", "receive", "error", "close"];
+
+/**
+ * Plays a `TrafficRecorder` recording back as the server of a `Socket`.
+ *
+ * Each transport created by the socket plays the next recorded connection,
+ * so reconnects replay the connections which followed. Received frames and
+ * the open, error and close events of the server are played back, while
+ * frames sent by the socket are kept in `sent` for inspection. Once the
+ * recording is exhausted, new transports close with code 1006.
+ *
+ * @example
+ * let socket = new Socket("/socket", {
+ *   transport: ReplayTransport.from(recording, {speed: 10, maxGapMs: 1000})
+ * })
+ */
+export default class ReplayTransport {
+  readyState: SOCKET_STATES = SOCKET_STATES.connecting;
+  binaryType: string = "arraybuffer";
+  timeout: number = 0;
+  url: string;
+  sent: EncodedMessage[] = [];
+  timers: TimerId[] = [];
+  scheduler: Scheduler;
+
+  onopen: (event: any) => void = function () {}; // noop
+  onerror: (error: any) => void = function () {}; // noop
+  onmessage: (event: any) => void = function () {}; // noop
+  onclose: (event: any) => void = function () {}; // noop
+
+  /**
+   * Returns a transport class playing `recording`, for `opts.transport`.
+   * The recording can be given as parsed or as a JSON string.
+   */
+  static from(
+    recording: Recording | string,
+    opts: ReplayOptions = {},
+  ): new (url: string) => ReplayTransport {
+    let parsed: Recording =
+      typeof recording === "string" ? JSON.parse(recording) : recording;
+    if (parsed.version !== 1) {
+      throw new Error(`unsupported recording version ${parsed.version}`);
+    }
+    let cursor = { index: 0 };
+    return class RecordedTransport extends ReplayTransport {
+      constructor(url: string) {
+        super(url, parsed, cursor, opts);
+      }
+    };
+  }
+
+  constructor(
+    url: string,
+    recording: Recording,
+    cursor: Cursor,
+    opts: ReplayOptions,
+  ) {
+    this.url = url;
+    this.scheduler = opts.scheduler || defaultScheduler;
+    let events = recording.events;
+    let start = cursor.index;
+    while (start < events.length && events[start].type !== "connect") {
+      start++;
+    }
+    let end = start + 1;
+    while (end < events.length && events[end].type !== "connect") {
+      end++;
+    }
+    cursor.index = end;
+    if (start >= events.length) {
+      this.schedule(0, { at: 0, type: "close", code: 1006, reason: "" });
+    } else {
+      this.play(events.slice(start, end), opts);
+    }
+  }
+
+  send(data: EncodedMessage) {
+    this.sent.push(data);
+  }
+
+  close(code: number = 1000, reason: string = "") {
+    if (this.readyState === SOCKET_STATES.closed) {
+      return;
+    }
+    this.stop();
+    Promise.resolve().then(() =>
+      this.onclose({ code, reason, wasClean: code === 1000 }),
+    );
+  }
+
+  private play(segment: RecordedEvent[], opts: ReplayOptions) {
+    let speed = opts.speed || 1;
+    let delay = 0;
+    let previous = segment[0].at;
+    segment
+      .filter((event) => PLAYED.indexOf(event.type) !== -1)
+      .forEach((event) => {
+        let gap = Math.max(0, event.at - previous) / speed;
+        if (opts.maxGapMs !== undefined) {
+          gap = Math.min(gap, opts.maxGapMs);
+        }
+        delay += gap;
+        previous = event.at;
+        this.schedule(delay, event);
+      });
+  }
+
+  private schedule(delay: number, event: RecordedEvent) {
+    this.timers.push(
+      this.scheduler.setTimeout(() => this.dispatch(event), delay),
+    );
+  }
+
+  private dispatch(event: RecordedEvent) {
+    switch (event.type) {
+      case "open":
+        this.readyState = SOCKET_STATES.open;
+        return this.onopen({});
+      case "receive":
+        return this.onmessage({ data: decodeFrame(event) });
+      case "error":
+        return this.onerror({ type: "error" });
+      case "close":
+        this.stop();
+        return this.onclose({
+          code: event.code,
+          reason: event.reason || "",
+          wasClean: !!event.wasClean,
+        });
+    }
+  }
+
+  private stop() {
+    this.readyState = SOCKET_STATES.closed;
+    this.timers.forEach((timer) => this.scheduler.clearTimeout(timer));
+    this.timers = [];
+  }
+}
@@ -12,26 +12,67 @@ import {
 import { closure } from "./utils";
 
 import Ajax from "./ajax";
+import { isBackoffPolicy } from "./backoff";
+import BufferLimiter, { byteSize } from "./buffer";
 import Channel from "./channel";
+import { defaultScheduler } from "./clock";
+import EndpointPool from "./endpoints";
+import { AuthError, ConnectionError } from "./errors";
+import Logger from "./logger";
 import LongPoll from "./longpoll";
+import Metrics from "./metrics";
+import MiddlewarePipeline from "./middleware";
+import Outbox from "./outbox";
+import ConnectionQuality from "./quality";
 import Serializer from "./serializer";
+import ConnectionStateMachine from "./state";
+import TabCoordinator from "./tabs";
 import Timer from "./timer";
 
+// LongPoll and the transports speaking its protocol, ie ServerSentEvents
+let isLongPoll = (transport) =>
+  transport === LongPoll || transport.prototype instanceof LongPoll;
+
+// the query string carries the params, ie auth tokens, which must not be
+// logged or recorded
+let withoutParams = (url) => url && url.split("?")[0];
+
 /** Initializes the Socket *
  *
  * For IE8 support use an ES5-shim (https://github.com/es-shims/es5-shim)
  *
- * param {string} endPoint - The string WebSocket endpoint, ie, `"ws://example.com/socket"`,
+ * param {(string|string[])} endPoint - The string WebSocket endpoint, ie, `"ws://example.com/socket"`,
  *                                               `"wss://example.com"`
  *                                               `"/socket"` (inherited host & protocol)
+ *
+ * Relative endpoints need a browser `location`. In Node, Bun and Deno, pass an
+ * absolute `ws://` or `wss://` endpoint.
+ *
+ * Or a list of endpoints to fail over between, ie,
+ * `["wss://eu.example.com/socket", "wss://us.example.com/socket"]`.
+ *
  * param {Object} [opts] - Optional configuration
  * param {Function} [opts.transport] - The Websocket Transport, for example WebSocket or Phoenix.LongPoll.
  *
  * Defaults to WebSocket with automatic LongPoll fallback if WebSocket is not defined.
+ * Any WebSocket compatible constructor may be passed, ie the `ws` package in Node:
+ *
+ * ```javascript
+ * import WebSocket from "ws"
+ * new Socket("wss://example.com/socket", {transport: WebSocket})
+ * ```
+ *
+ * LongPoll requests are made with `fetch`, so long polling also works in service workers,
+ * Node and edge runtimes.
  * To fallback to LongPoll when WebSocket attempts fail, use `longPollFallbackMs: 2500`.
+ * Where proxies block WebSockets but stream responses, `Phoenix.ServerSentEvents` receives
+ * over an `EventSource` stream instead of long polls.
  *
  * param {number} [opts.longPollFallbackMs] - The millisecond time to attempt the primary transport
- * before falling back to the LongPoll transport. Disabled by default.
+ * before falling back to the fallback transport. Disabled by default.
+ *
+ * param {Function} [opts.fallbackTransport] - The transport to fall back to, ie
+ * `Phoenix.ServerSentEvents`. Defaults to LongPoll.
  *
  * param {boolean} [opts.debug] - When true, enables debug logging. Default false.
  *
@@ -47,10 +88,34 @@ import Timer from "./timer";
  * (payload, callback) => callback(JSON.parse(payload))
  * ```
  *
+ * param {Object} [opts.serializer] - An object with `encode` and `decode` functions used
+ * when `opts.encode` or `opts.decode` is not given, ie `MessagePackSerializer` to send
+ * binary MessagePack frames, which the server must decode with a matching serializer.
+ * `LongPoll`, including as a fallback, always uses `Serializer`.
+ *
+ * Defaults to `Serializer`, with JSON text and binary frames.
+ *
  * param {number} [opts.timeout] - The default timeout in milliseconds to trigger push timeouts.
  *
  * Defaults `DEFAULT_TIMEOUT`
  * param {number} [opts.heartbeatIntervalMs] - The millisec interval to send a heartbeat message
+ * param {(number|boolean)} [opts.hiddenHeartbeatIntervalMs] - The millisec interval to send a
+ * heartbeat message while the page is hidden, or `false` to stop heartbeats until it is visible.
+ *
+ * Defaults to `heartbeatIntervalMs`
+ *
+ * param {Object} [opts.quality] - Thresholds for classifying the connection quality from
+ * heartbeat and ping round trips, see `onQualityChange`:
+ *
+ * - `historySize` - the round trips kept per connection. Defaults to 10
+ * - `degradedRttMs` / `poorRttMs` - average RTT thresholds. Default to 500 and 2000
+ * - `degradedJitterMs` / `poorJitterMs` - jitter thresholds. Default to 200 and 1000
+ * - `lateHeartbeatMs` - how long a heartbeat may go unanswered before it counts as
+ *   missed. Defaults to half of `heartbeatIntervalMs`
+ *
+ * While the browser reports being offline, reconnect attempts are paused, and the socket
+ * reconnects right away once it is back online. See `onConnectivityChange`.
+ *
  * param {Function} [opts.reconnectAfterMs] - The optional function that returns the
  * socket reconnect interval, in milliseconds.
  *
@@ -71,7 +136,21 @@ import Timer from "./timer";
  * }
  * ````
  *
- * param {Function} [opts.logger] - The optional function for specialized logging, ie:
+ * Both `reconnectAfterMs` and `rejoinAfterMs` also accept a backoff policy, such as
+ * `Backoff.fullJitter({maxDelayMs: 30000})`, to spread out reconnects with jitter, cap
+ * delays, reset only after a stable period and give up after `maxAttempts`:
+ *
+ * ```javascript
+ * reconnectAfterMs: Backoff.decorrelatedJitter({
+ *   baseDelayMs: 500,
+ *   maxDelayMs: 30000,
+ *   resetAfterMs: 60000,
+ *   maxAttempts: 20,
+ *   onGiveUp: (tries) => console.log(`gave up after ${tries} attempts`)
+ * })
+ * ```
+ *
+ * param {(Function|Object)} [opts.logger] - The optional function for specialized logging, ie:
  *
  * ```javascript
  * function(kind, msg, data) {
@@ -79,11 +158,62 @@ import Timer from "./timer";
  * }
  * ```
  *
+ * Or options for structured logging, where `handler` receives records with the `level`,
+ * `category`, `message`, `time`, and the `topic`, `event`, `ref`, `joinRef`, `durationMs`
+ * and `data` which apply:
+ *
+ * ```javascript
+ * logger: {
+ *   handler: (record) => logPipeline.send(record),
+ *   // "debug", "info", "warn" or "error", defaults to "debug"
+ *   level: "info",
+ *   // per category: "transport", "channel", "push", "receive", "presence" and "state"
+ *   levels: {push: "off", receive: "warn"},
+ *   // keys replaced in logged payloads, or a function of the key and value
+ *   redact: ["token", "password"],
+ *   redactWith: "[REDACTED]"
+ * }
+ * ```
+ *
  * param {number} [opts.longpollerTimeout] - The maximum timeout of a long poll AJAX request.
  *
  * Defaults to 20s (double the server long poll timer).
  *
- * param {(Object|function)} [opts.params] - The optional params to pass when connecting
+ * param {Object} [opts.longPollRequest] - Options of every LongPoll and ServerSentEvents
+ * request: `headers`, an object or a function called with the method of each request,
+ * the `credentials` mode of `fetch`, and extra query `params`, an object or a function:
+ *
+ * ```javascript
+ * let socket = new Socket("/socket", {
+ *   transport: LongPoll,
+ *   longPollRequest: {
+ *     headers: () => ({authorization: `Bearer ${getToken()}`}),
+ *     credentials: "include",
+ *     params: {tenant: "acme"}
+ *   }
+ * })
+ * ```
+ *
+ * param {(Object|function)} [opts.params] - The optional params to pass when connecting.
+ * A function may return a promise, which is awaited before every connection attempt so
+ * fresh credentials can be fetched before reconnecting. When it rejects, the error is
+ * reported to `onError` callbacks and the socket retries after `reconnectAfterMs`.
+ *
+ * param {Function} [opts.refreshAuth] - The optional async function to refresh credentials
+ * when the server rejects the connection with close code 1008, which `LongPoll` closes with
+ * on a `401` or `403`, or rejects a channel join as unauthorized. It runs once before the socket reconnects or the channel rejoins.
+ * If it throws, or the retry is rejected again, an `AuthError` is reported to the socket
+ * `onError` or channel `onError` callbacks and the socket or channel stops retrying.
+ *
+ * ```javascript
+ * refreshAuth: async () => { token = await fetchToken() }
+ * ```
+ *
+ * param {Function} [opts.isUnauthorized] - Checks whether a join error response is
+ * an unauthorized rejection.
+ *
+ * Defaults to `response => response.reason === "unauthorized"`
+ *
  * param {string} [opts.binaryType] - The binary type to use for binary WebSocket frames.
  *
  * Defaults to "arraybuffer"
@@ -104,17 +234,138 @@ import Timer from "./timer";
  *       setItem(keyName, keyValue) { this.storage[keyName] = keyValue }
  *     }
  *
+ * param {(Object|boolean)} [opts.outbox] - Enables the outbox for channel pushes made while
+ * a channel cannot push. Queued pushes are held in the channel `pushBuffer`, within its
+ * `opts.pushBufferLimits`, and replayed in order once the channel rejoins. Their push timeout
+ * only starts once they are sent: until then they wait for the outbox `ttl`, and time out
+ * when it passes. Pass `true` to keep them in memory, or options:
+ *
+ * ```javascript
+ * outbox: {
+ *   // survives page reloads, each tab keeping its own entries
+ *   adapter: new StorageOutboxAdapter(localStorage),
+ *   // no limit by default
+ *   ttl: 5 * 60 * 1000,
+ *   // drop or transform entries restored from a previous page
+ *   beforeReplay: (entry) => entry.event === "typing" ? null : entry
+ * }
+ * ```
+ *
+ * Disabled by default. Binary payloads are never persisted, and neither is the socket
+ * `sendBuffer`, whose joins, leaves and heartbeats belong to the current connection.
+ *
+ * param {Object} [opts.sendBufferLimits] - Limits for the socket `sendBuffer`, which holds
+ * messages pushed while the connection is not open:
+ *
+ * ```javascript
+ * sendBufferLimits: {
+ *   maxMessages: 500,
+ *   maxBytes: 1024 * 1024,
+ *   // "drop-oldest", "drop-newest", "reject" or a function returning one of them
+ *   overflow: "reject",
+ *   onUsage: ({messages, bytes, maxBytes}) => showOfflineWarning(bytes / maxBytes)
+ * }
+ * ```
+ *
+ * Pushes rejected by a full buffer receive `"error"` with a `BufferOverflowError`,
+ * dropped ones eventually receive `"timeout"`. Unlimited by default.
+ *
+ * param {string} [opts.endpointStrategy] - How the next endpoint is selected when the
+ * active one fails: `"ordered"`, `"round-robin"` or `"lowest-rtt"`. Only the active endpoint
+ * is measured, by `ping`, so `"lowest-rtt"` tries endpoints never connected to first and
+ * then compares the RTT last measured on each.
+ *
+ * Defaults to "ordered"
+ *
+ * param {number} [opts.endpointMaxFailures] - The consecutive connection failures
+ * before moving to the next endpoint.
+ *
+ * Defaults to 2
+ *
+ * param {(boolean|Object)} [opts.sharedConnection] - Shares a single connection between
+ * the tabs of the browser. The tabs elect a leader over a `BroadcastChannel`, which alone
+ * connects with `opts.transport`. Sockets in the other tabs keep the same `Socket` and
+ * `Channel` API, while their pushes are forwarded to the leader and broadcasts, presence
+ * events and replies are fanned out back to them. Channels joined by several tabs are
+ * only joined once on the server, with the params of the first tab joining them, and later
+ * joins receive its join reply. When the leader tab closes or is hidden, another tab
+ * takes over and every socket reconnects through it. With `opts.longPollFallbackMs`, the
+ * leader falls back to `opts.fallbackTransport` for the shared connection. Options:
+ *
+ * - `name` - tabs sharing a connection must use the same name. Defaults to `"phoenix"`
+ * - `electionMs` - how long to wait for a leader before claiming leadership. Defaults to 250
+ * - `heartbeatMs` - how often the leader announces itself. Defaults to 1000
+ * - `broadcastChannel` - a function creating the channel tabs talk over, ie around
+ *   a `SharedWorker` port
+ *
+ * Disabled by default, and ignored where `BroadcastChannel` is not available.
+ *
+ * param {Object} [opts.tracing] - Opens a span for each channel push, join and rejoin,
+ * ended with the `"ok"`, `"error"` or `"timeout"` status of the reply. The W3C
+ * `traceparent` of the span is added to the pushed payload and join params:
+ *
+ * ```javascript
+ * tracing: {
+ *   tracer: {
+ *     startSpan: ({kind, topic, event}) => {
+ *       let span = otelTracer.startSpan(`${kind} ${topic} ${event}`)
+ *       let {traceId, spanId} = span.spanContext()
+ *       return {
+ *         traceparent: traceparent(traceId, spanId),
+ *         end: (status) => { span.setStatus({code: status === "ok" ? 1 : 2}); span.end() }
+ *       }
+ *     }
+ *   },
+ *   // set to false to only record spans
+ *   propagate: true,
+ *   // the payload key of the trace context
+ *   key: "traceparent"
+ * }
+ * ```
+ *
+ * Disabled by default.
+ *
+ * param {Object} [opts.stats] - Options for `socket.stats()` and `onStats`:
+ *
+ * - `intervalMs` - how often `onStats` callbacks receive a snapshot. Defaults to 60000
+ * - `latencyBuckets` - the bounds in milliseconds of the latency histogram buckets.
+ *   Defaults to `[10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]`
+ *
+ * param {TrafficRecorder} [opts.recorder] - Records the frames and lifecycle events
+ * of every connection, to be played back with `ReplayTransport`. Disabled by default.
+ * URLs are recorded without their params. A recorder of a socket with `opts.scheduler`
+ * should be built with the same scheduler.
+ *
+ * param {Object} [opts.scheduler] - The clock and timers used by the socket, its channels,
+ * pushes and the `LongPoll` transport, with `now()`, `setTimeout(callback, delay)` and
+ * `clearTimeout(timer)`. Pass a `VirtualClock` to drive time step by step in tests:
+ *
+ * ```javascript
+ * let clock = new VirtualClock()
+ * let socket = new Socket("/socket", {scheduler: clock})
+ * clock.advance(30000)
+ * ```
+ *
+ * Defaults to the global timers.
+ *
+ * param {Object} [opts.pushBufferLimits] - Limits for each channel `pushBuffer`, which holds
+ * pushes made before the channel is joined. Same shape as `sendBufferLimits`.
+ *
  */
 export default class Socket {
   constructor(endPoint, opts = {}) {
     this.stateChangeCallbacks = { open: [], close: [], error: [], message: [] };
     this.channels = [];
     this.sendBuffer = [];
+    this.sendBufferLimiter = new BufferLimiter(opts.sendBufferLimits || {});
+    this.pushBufferLimits = opts.pushBufferLimits || {};
     this.ref = 0;
     this.timeout = opts.timeout || DEFAULT_TIMEOUT;
+    this.scheduler = opts.scheduler || defaultScheduler;
     this.transport = opts.transport || global.WebSocket || LongPoll;
     this.primaryPassedHealthCheck = false;
     this.longPollFallbackMs = opts.longPollFallbackMs;
+    this.fallbackTransport = opts.fallbackTransport || LongPoll;
     this.fallbackTimer = null;
     this.sessionStore =
       opts.sessionStorage || (global && global.sessionStorage);
@@ -124,12 +375,40 @@ export default class Socket {
     this.closeWasClean = false;
     this.binaryType = opts.binaryType || "arraybuffer";
     this.connectClock = 1;
-    if (this.transport !== LongPoll) {
-      this.encode = opts.encode || this.defaultEncoder;
-      this.decode = opts.decode || this.defaultDecoder;
-    } else {
-      this.encode = this.defaultEncoder;
-      this.decode = this.defaultDecoder;
+    this.outbox = opts.outbox
+      ? new Outbox(opts.outbox === true ? {} : opts.outbox, this.scheduler)
+      : null;
+    let serializer = opts.serializer;
+    this.transportEncode =
+      opts.encode ||
+      (serializer ? serializer.encode.bind(serializer) : this.defaultEncoder);
+    this.transportDecode =
+      opts.decode ||
+      (serializer ? serializer.decode.bind(serializer) : this.defaultDecoder);
+    this.selectSerializer();
+    let shared = opts.sharedConnection === true ? {} : opts.sharedConnection;
+    this.tabs = null;
+    if (shared && (shared.broadcastChannel || global.BroadcastChannel)) {
+      let transport = this.transport;
+      let fallbackTransport = this.fallbackTransport;
+      let fallbackLongPoll = isLongPoll(fallbackTransport);
+      this.tabs = new TabCoordinator(
+        shared,
+        (url) => this.newConnection(transport, url),
+        this.encode,
+        this.decode,
+        this.scheduler,
+        this.longPollFallbackMs && transport !== fallbackTransport
+          ? {
+              afterMs: this.longPollFallbackMs,
+              createTransport: (url) =>
+                this.newConnection(fallbackTransport, url),
+              encode: fallbackLongPoll ? this.defaultEncoder : this.encode,
+              decode: fallbackLongPoll ? this.defaultDecoder : this.decode,
+            }
+          : null,
+      );
+      this.transport = this.tabs.transport;
     }
     let awaitingConnectionOnPageShow = null;
     if (phxWindow && phxWindow.addEventListener) {
@@ -146,37 +425,117 @@ export default class Socket {
         }
       });
     }
+    if (global && global.addEventListener) {
+      global.addEventListener("offline", (_e) => this.onNetworkOffline());
+      global.addEventListener("online", (_e) => this.onNetworkOnline());
+    }
+    let doc = global && global.document;
+    if (doc && doc.addEventListener) {
+      doc.addEventListener("visibilitychange", (_e) =>
+        this.onVisibilityChange(doc.visibilityState === "hidden"),
+      );
+    }
+    this.networkOnline = !(
+      global &&
+      global.navigator &&
+      global.navigator.onLine === false
+    );
+    this.awaitingNetwork = false;
+    this.pageHidden = !!doc && doc.visibilityState === "hidden";
+    this.connectivityChangeCallbacks = [];
     this.heartbeatIntervalMs = opts.heartbeatIntervalMs || 30000;
-    this.rejoinAfterMs = (tries) => {
-      if (opts.rejoinAfterMs) {
-        return opts.rejoinAfterMs(tries);
-      } else {
-        return [1000, 2000, 5000][tries - 1] || 10000;
-      }
-    };
-    this.reconnectAfterMs = (tries) => {
-      if (opts.reconnectAfterMs) {
-        return opts.reconnectAfterMs(tries);
-      } else {
-        return [10, 50, 100, 150, 200, 250, 500, 1000, 2000][tries - 1] || 5000;
-      }
-    };
+    this.hiddenHeartbeatIntervalMs =
+      opts.hiddenHeartbeatIntervalMs === undefined
+        ? this.heartbeatIntervalMs
+        : opts.hiddenHeartbeatIntervalMs;
+    this.rejoinAfterMs = isBackoffPolicy(opts.rejoinAfterMs)
+      ? opts.rejoinAfterMs
+      : (tries) => {
+          if (opts.rejoinAfterMs) {
+            return opts.rejoinAfterMs(tries);
+          } else {
+            return [1000, 2000, 5000][tries - 1] || 10000;
+          }
+        };
+    this.reconnectAfterMs = isBackoffPolicy(opts.reconnectAfterMs)
+      ? opts.reconnectAfterMs
+      : (tries) => {
+          if (opts.reconnectAfterMs) {
+            return opts.reconnectAfterMs(tries);
+          } else {
+            return (
+              [10, 50, 100, 150, 200, 250, 500, 1000, 2000][tries - 1] || 5000
+            );
+          }
+        };
     this.logger = opts.logger || null;
+    if (this.logger && typeof this.logger !== "function") {
+      this.logger = new Logger(this.logger, this.scheduler);
+    }
     if (!this.logger && opts.debug) {
       this.logger = (kind, msg, data) => {
         console.log(`${kind}: ${msg}`, data);
       };
     }
     this.longpollerTimeout = opts.longpollerTimeout || 20000;
+    this.longPollRequest = opts.longPollRequest || {};
     this.params = closure(opts.params || {});
-    this.endPoint = `${endPoint}/${TRANSPORTS.websocket}`;
+    this.pendingParams = null;
+    this.connURL = null;
+    this.authRefresher = opts.refreshAuth || null;
+    this.isUnauthorized =
+      opts.isUnauthorized ||
+      ((response) => !!response && response.reason === "unauthorized");
+    this.authRefresh = null;
+    this.authRefreshed = false;
+    this.endpointPool = new EndpointPool(
+      Array.isArray(endPoint) ? endPoint : [endPoint],
+      {
+        strategy: opts.endpointStrategy,
+        maxFailures: opts.endpointMaxFailures,
+      },
+      this.scheduler,
+    );
+    this.endpointChangeCallbacks = [];
+    this.endPoint = `${this.endpointPool.current().url}/${TRANSPORTS.websocket}`;
     this.vsn = opts.vsn || DEFAULT_VSN;
     this.heartbeatTimeoutTimer = null;
     this.heartbeatTimer = null;
     this.pendingHeartbeatRef = null;
-    this.reconnectTimer = new Timer(() => {
-      this.teardown(() => this.connect());
-    }, this.reconnectAfterMs);
+    this.heartbeatSentAt = null;
+    this.heartbeatLateTimer = null;
+    let qualityOpts = opts.quality || {};
+    this.lateHeartbeatMs =
+      qualityOpts.lateHeartbeatMs || this.heartbeatIntervalMs / 2;
+    this.qualityChangeCallbacks = [];
+    this.quality = new ConnectionQuality(qualityOpts, (snapshot, previous) =>
+      this.qualityChangeCallbacks.forEach(([, callback]) =>
+        callback(snapshot, previous),
+      ),
+    );
+    this.tracing = opts.tracing || null;
+    this.recorder = opts.recorder || null;
+    let statsOpts = opts.stats || {};
+    this.metrics = new Metrics(statsOpts.latencyBuckets, this.scheduler);
+    this.statsIntervalMs = statsOpts.intervalMs || 60000;
+    this.statsCallbacks = [];
+    this.statsTimer = null;
+    this.outboundMiddleware = new MiddlewarePipeline();
+    this.inboundMiddleware = new MiddlewarePipeline();
+    this.connectionStateCallbacks = [];
+    this.stateMachine = new ConnectionStateMachine((prev, next, reason) =>
+      this.connectionStateCallbacks.forEach(([, callback]) =>
+        callback(prev, next, reason),
+      ),
+    );
+    this.reconnectTimer = new Timer(
+      () => {
+        this.metrics.increment("reconnectAttempts");
+        this.teardown(() => this.connect());
+      },
+      this.reconnectAfterMs,
+      this.scheduler,
+    );
   }
 
   /**
@@ -195,13 +554,25 @@ export default class Socket {
   replaceTransport(newTransport) {
     this.connectClock++;
     this.closeWasClean = true;
-    clearTimeout(this.fallbackTimer);
+    this.pendingParams = null;
+    this.scheduler.clearTimeout(this.fallbackTimer);
     this.reconnectTimer.reset();
     if (this.conn) {
       this.conn.close();
       this.conn = null;
     }
     this.transport = newTransport;
+    this.selectSerializer();
+  }
+
+  /**
+   * Selects the encode and decode functions of the transport. `LongPoll`
+   * always sends JSON, which it can batch into a single request.
+   */
+  selectSerializer() {
+    let longPoll = isLongPoll(this.transport);
+    this.encode = longPoll ? this.defaultEncoder : this.transportEncode;
+    this.decode = longPoll ? this.defaultDecoder : this.transportDecode;
   }
 
   /**
@@ -210,7 +581,7 @@ export default class Socket {
    * returns {string}
    */
   protocol() {
-    return location.protocol.match(/^https/) ? "wss" : "ws";
+    return global.location.protocol.match(/^https/) ? "wss" : "ws";
   }
 
   /**
@@ -218,19 +589,23 @@ export default class Socket {
    *
    * returns {string}
    */
-  endPointURL() {
-    let uri = Ajax.appendParams(
-      Ajax.appendParams(this.endPoint, this.params()),
-      { vsn: this.vsn },
-    );
+  endPointURL(params = this.params()) {
+    let uri = Ajax.appendParams(Ajax.appendParams(this.endPoint, params), {
+      vsn: this.vsn,
+    });
     if (uri.charAt(0) !== "/") {
       return uri;
     }
+    if (!global.location) {
+      throw new Error(
+        `the endpoint "${this.endPoint}" must be an absolute ws:// or wss:// URL outside of a browser`,
+      );
+    }
     if (uri.charAt(1) === "/") {
       return `${this.protocol()}:${uri}`;
     }
 
-    return `${this.protocol()}://${location.host}${uri}`;
+    return `${this.protocol()}://${global.location.host}${uri}`;
   }
 
   /**
@@ -245,9 +620,16 @@ export default class Socket {
   disconnect(callback, code, reason) {
     this.connectClock++;
     this.closeWasClean = true;
-    clearTimeout(this.fallbackTimer);
+    this.awaitingNetwork = false;
+    this.pendingParams = null;
+    this.scheduler.clearTimeout(this.fallbackTimer);
     this.reconnectTimer.reset();
+    if (this.stateMachine.current.name !== "disconnected") {
+      this.transition({ name: "disconnected" }, "disconnect");
+    }
     this.teardown(callback, code, reason);
+    // a disconnected tab stops leading, until it connects again
+    this.tabs && this.tabs.close();
   }
 
   /**
@@ -256,6 +638,14 @@ export default class Socket {
    *
    * Passing params to connect is deprecated; pass them in the Socket constructor instead:
    * `new Socket("/socket", {params: {user_id: userToken}})`.
+   *
+   * Returns a promise which resolves once the connection is open, or rejects
+   * with a `ConnectionError` if the transport errors or closes, or the socket
+   * is disconnected, before opening.
+   *
+   * @example await socket.connect()
+   *
+   * returns {Promise}
    */
   connect(params) {
     if (params) {
@@ -265,14 +655,26 @@ export default class Socket {
         );
       this.params = closure(params);
     }
-    if (this.conn) {
-      return;
+    this.tabs && this.tabs.open();
+    if (this.conn || this.pendingParams) {
+      return this.waitForOpen();
     }
-    if (this.longPollFallbackMs && this.transport !== LongPoll) {
-      this.connectWithFallback(LongPoll, this.longPollFallbackMs);
+    let reconnecting = this.stateMachine.current.name === "reconnecting";
+    this.transition(
+      { name: "connecting" },
+      reconnecting ? "reconnect" : "connect",
+    );
+    // the leader of a shared connection falls back on its own
+    if (
+      this.longPollFallbackMs &&
+      !this.tabs &&
+      this.transport !== this.fallbackTransport
+    ) {
+      this.connectWithFallback(this.fallbackTransport, this.longPollFallbackMs);
     } else {
       this.transportConnect();
     }
+    return this.waitForOpen();
   }
 
   /**
@@ -280,15 +682,28 @@ export default class Socket {
    * param {string} kind
    * param {string} msg
    * param {Object} data
+   * param {Object} fields - the `level`, `topic`, `event`, `ref`, `joinRef` and
+   * `durationMs` of structured log records
    */
-  log(kind, msg, data) {
-    this.logger && this.logger(kind, msg, data);
+  log(kind, msg, data, fields) {
+    if (this.logger instanceof Logger) {
+      this.logger.log(kind, msg, data, fields);
+    } else {
+      this.logger && this.logger(kind, msg, data);
+    }
   }
 
   /**
-   * Returns true if a logger has been set on this socket.
+   * Returns true if a logger has been set on this socket, and given a
+   * category, if a structured logger keeps its records of the given level.
+   *
+   * param {string} [category]
+   * param {string} [level] - defaults to "debug"
    */
-  hasLogger() {
+  hasLogger(category, level) {
+    if (this.logger instanceof Logger && category) {
+      return this.logger.enabled(category, level);
+    }
     return this.logger !== null;
   }
 
@@ -338,6 +753,207 @@ export default class Socket {
     return ref;
   }
 
+  /**
+   * Registers callbacks for connection state transitions, called with the
+   * previous state, the next state and the reason for the transition.
+   *
+   * The states are `idle`, `connecting`, `open`, `reconnecting`, `fallingBack`
+   * and `disconnected`. `reconnecting` carries the next `attempt` and its
+   * `nextDelay` in milliseconds, or `null` while waiting for the network.
+   *
+   * @example socket.onStateChange((prev, next, reason) => {
+   *   if (next.name === "reconnecting") showRetryBanner(next.attempt, next.nextDelay)
+   * })
+   *
+   * param {Function} callback
+   */
+  onStateChange(callback) {
+    let ref = this.makeRef();
+    this.connectionStateCallbacks.push([ref, callback]);
+    return ref;
+  }
+
+  /**
+   * Returns the current connection state, see `onStateChange`
+   *
+   * returns {Object}
+   */
+  state() {
+    return { ...this.stateMachine.current };
+  }
+
+  /**
+   * Registers callbacks for when the socket moves to another endpoint
+   *
+   * @example socket.onEndpointChange((endpoint, previous) => console.info(`now on ${endpoint.url}`))
+   *
+   * param {Function} callback
+   */
+  onEndpointChange(callback) {
+    let ref = this.makeRef();
+    this.endpointChangeCallbacks.push([ref, callback]);
+    return ref;
+  }
+
+  /**
+   * Registers callbacks for network and page visibility changes
+   *
+   * @example socket.onConnectivityChange(({online, hidden}) => online || showOfflineBanner())
+   *
+   * param {Function} callback
+   */
+  onConnectivityChange(callback) {
+    let ref = this.makeRef();
+    this.connectivityChangeCallbacks.push([ref, callback]);
+    return ref;
+  }
+
+  /**
+   * Registers callbacks for when the connection quality moves between
+   * `"good"`, `"degraded"` and `"poor"`.
+   *
+   * A heartbeat unanswered for `lateHeartbeatMs` makes the connection `"poor"`
+   * before the heartbeat timeout closes it, so the UI can warn the user first.
+   *
+   * @example socket.onQualityChange(({level}) => showSlowConnectionBanner(level !== "good"))
+   *
+   * param {Function} callback - called with the quality snapshot and the previous level
+   */
+  onQualityChange(callback) {
+    let ref = this.makeRef();
+    this.qualityChangeCallbacks.push([ref, callback]);
+    return ref;
+  }
+
+  /**
+   * Returns the quality of the current connection, ie its level, recent
+   * round trips, jitter and missed heartbeats
+   *
+   * returns {Object}
+   */
+  connectionQuality() {
+    return this.quality.snapshot();
+  }
+
+  /**
+   * Adds a middleware to the chain run on every message pushed to the
+   * server, before it is encoded or buffered. Middleware run in the order
+   * they were added, and see the `topic`, `event`, `payload`, `ref` and
+   * `join_ref` of the message, including heartbeats on the `"phoenix"` topic.
+   *
+   * @example socket.useOutbound((msg, next) => next({...msg, payload: {...msg.payload, locale}}))
+   *
+   * param {Function} middleware - called with the message and `next`, which passes the
+   * message on. Calling `next` later delays the message, not calling it drops it
+   * returns {string} a ref to remove the middleware with `off`
+   */
+  useOutbound(middleware) {
+    let ref = this.makeRef();
+    this.outboundMiddleware.add(ref, middleware);
+    return ref;
+  }
+
+  /**
+   * Adds a middleware to the chain run on every message received from the
+   * server, after it is decoded and before it is dispatched to channels
+   * and `onMessage` callbacks. See `useOutbound`.
+   *
+   * @example socket.useInbound((msg, next) => flags.enabled(msg.event) && next(msg))
+   *
+   * param {Function} middleware
+   * returns {string} a ref to remove the middleware with `off`
+   */
+  useInbound(middleware) {
+    let ref = this.makeRef();
+    this.inboundMiddleware.add(ref, middleware);
+    return ref;
+  }
+
+  /**
+   * Returns the counters and latency histograms of the socket since it was
+   * created or `resetStats` was called: messages and bytes sent and received
+   * in total and per topic and event, reconnect attempts, fallbacks,
+   * heartbeat timeouts, push timeouts, join errors, and the latency of push
+   * and join replies
+   *
+   * returns {Object}
+   */
+  stats() {
+    return this.metrics.snapshot();
+  }
+
+  /**
+   * Restarts counting from zero
+   */
+  resetStats() {
+    this.metrics.reset();
+  }
+
+  /**
+   * Registers callbacks receiving a `stats()` snapshot every `stats.intervalMs`
+   *
+   * @example socket.onStats((stats) => analytics.track("realtime", stats))
+   *
+   * param {Function} callback
+   */
+  onStats(callback) {
+    let ref = this.makeRef();
+    this.statsCallbacks.push([ref, callback]);
+    if (!this.statsTimer) {
+      this.scheduleStats();
+    }
+    return ref;
+  }
+
+  /**
+   * @private
+   */
+  scheduleStats() {
+    this.statsTimer = this.scheduler.setTimeout(() => {
+      let snapshot = this.stats();
+      this.statsCallbacks.forEach(([, callback]) => callback(snapshot));
+      this.scheduleStats();
+    }, this.statsIntervalMs);
+  }
+
+  /**
+   * Returns whether this tab holds the connection, which is always
+   * the case unless `sharedConnection` is enabled
+   *
+   * returns {boolean}
+   */
+  isLeader() {
+    return !this.tabs || this.tabs.isLeader();
+  }
+
+  /**
+   * Returns whether the browser is online and whether the page is hidden
+   *
+   * returns {Object}
+   */
+  connectivity() {
+    return { online: this.networkOnline, hidden: this.pageHidden };
+  }
+
+  /**
+   * Returns the health of the active endpoint
+   *
+   * returns {Object}
+   */
+  activeEndpoint() {
+    return { ...this.endpointPool.current() };
+  }
+
+  /**
+   * Returns the health of every endpoint, ie their consecutive failures and
+   * last measured RTT
+   *
+   * returns {Object[]}
+   */
+  endpointHealth() {
+    return this.endpointPool.endpoints.map((endpoint) => ({ ...endpoint }));
+  }
+
   /**
    * Pings the server and invokes the callback with the RTT in milliseconds
    * param {Function} callback
@@ -349,17 +965,75 @@ export default class Socket {
       return false;
     }
     let ref = this.makeRef();
-    let startTime = Date.now();
+    let startTime = this.scheduler.now();
     this.push({ topic: "phoenix", event: "heartbeat", payload: {}, ref: ref });
     let onMsgRef = this.onMessage((msg) => {
       if (msg.ref === ref) {
         this.off([onMsgRef]);
-        callback(Date.now() - startTime);
+        let rtt = this.scheduler.now() - startTime;
+        this.endpointPool.recordRtt(rtt);
+        this.quality.recordRtt(rtt);
+        callback(rtt);
       }
     });
     return true;
   }
 
+  /**
+   * @private
+   *
+   * Errors from a primary transport that falls back are not fatal, so
+   * the promise keeps waiting for the fallback to open. It rejects when
+   * the attempt closes, or the socket disconnects, before opening.
+   */
+  waitForOpen() {
+    let opened = new Promise((resolve, reject) => {
+      if (this.isConnected()) {
+        return resolve();
+      }
+      // a private ref keeps the public makeRef() sequence untouched
+      let ref = {};
+      let fail = (reason) => {
+        this.off([ref]);
+        reject(
+          reason instanceof ConnectionError
+            ? reason
+            : new ConnectionError(reason),
+        );
+      };
+      this.stateChangeCallbacks.open.push([
+        ref,
+        () => {
+          this.off([ref]);
+          resolve();
+        },
+      ]);
+      this.stateChangeCallbacks.error.push([
+        ref,
+        (error, transportBefore) => {
+          if (transportBefore === this.transport) {
+            fail(error);
+          }
+        },
+      ]);
+      this.connectionStateCallbacks.push([
+        ref,
+        (prev, next, reason) => {
+          // an unauthorized close keeps waiting for the refreshed attempt
+          if (
+            next.name === "disconnected" ||
+            (prev.name === "connecting" && reason === "close")
+          ) {
+            fail(reason);
+          }
+        },
+      ]);
+    });
+    // callers using the callback API never handle the rejection
+    opened.catch(() => {});
+    return opened;
+  }
+
   /**
    * @private
    */
@@ -367,15 +1041,69 @@ export default class Socket {
   transportConnect() {
     this.connectClock++;
     this.closeWasClean = false;
-    this.conn = new this.transport(this.endPointURL());
+    let params = this.params();
+    if (!params || typeof params.then !== "function") {
+      return this.openTransport(params);
+    }
+    this.pendingParams = params;
+    params.then(
+      (resolved) => {
+        if (this.pendingParams === params) {
+          this.pendingParams = null;
+          // thrown here, ie by a bad URL, it would be an unhandled rejection
+          try {
+            this.openTransport(resolved);
+          } catch (error) {
+            this.onConnError(error);
+            this.scheduleReconnect("open failed");
+          }
+        }
+      },
+      (error) => {
+        if (this.pendingParams === params) {
+          this.pendingParams = null;
+          this.onParamsError(error);
+        }
+      },
+    );
+  }
+
+  /**
+   * @private
+   */
+  openTransport(params) {
+    let url = this.endPointURL(params);
+    this.connURL = url;
+    this.record("connect", {
+      url: withoutParams(url),
+      transport: this.transport.name,
+    });
+    this.conn = this.newConnection(this.transport, url);
     this.conn.binaryType = this.binaryType;
-    this.conn.timeout = this.longpollerTimeout;
     this.conn.onopen = () => this.onConnOpen();
     this.conn.onerror = (error) => this.onConnError(error);
     this.conn.onmessage = (event) => this.onConnMessage(event);
     this.conn.onclose = (event) => this.onConnClose(event);
   }
 
+  /**
+   * @private
+   *
+   * Also builds the connection held by the leader tab of a shared connection,
+   * so it gets the same scheduler, timeout and request options.
+   */
+  newConnection(transport, url) {
+    let conn;
+    if (isLongPoll(transport)) {
+      conn = new transport(url, this.scheduler);
+      conn.requestOptions = this.longPollRequest;
+    } else {
+      conn = new transport(url);
+    }
+    conn.timeout = this.longpollerTimeout;
+    return conn;
+  }
+
   getSession(key) {
     return this.sessionStore && this.sessionStore.getItem(key);
   }
@@ -385,17 +1113,23 @@ export default class Socket {
   }
 
   connectWithFallback(fallbackTransport, fallbackThreshold = 2500) {
-    clearTimeout(this.fallbackTimer);
+    this.scheduler.clearTimeout(this.fallbackTimer);
     let established = false;
     let primaryTransport = true;
     let openRef, errorRef;
     let fallback = (reason) => {
+      this.metrics.increment("fallbacks");
       this.log(
         "transport",
         `falling back to ${fallbackTransport.name}...`,
         reason,
+        { level: "warn" },
       );
       this.off([openRef, errorRef]);
+      this.transition(
+        { name: "fallingBack" },
+        typeof reason === "string" ? reason : "fallback",
+      );
       primaryTransport = false;
       this.replaceTransport(fallbackTransport);
       this.transportConnect();
@@ -404,12 +1138,12 @@ export default class Socket {
       return fallback("memorized");
     }
 
-    this.fallbackTimer = setTimeout(fallback, fallbackThreshold);
+    this.fallbackTimer = this.scheduler.setTimeout(fallback, fallbackThreshold);
 
     errorRef = this.onError((reason) => {
-      this.log("transport", "error", reason);
+      this.log("transport", "error", reason, { level: "warn" });
       if (primaryTransport && !established) {
-        clearTimeout(this.fallbackTimer);
+        this.scheduler.clearTimeout(this.fallbackTimer);
         fallback(reason);
       }
     });
@@ -423,33 +1157,50 @@ export default class Socket {
         return this.log(
           "transport",
           `established ${fallbackTransport.name} fallback`,
+          undefined,
+          { level: "info" },
         );
       }
       // if we've established primary, give the fallback a new period to attempt ping
-      clearTimeout(this.fallbackTimer);
-      this.fallbackTimer = setTimeout(fallback, fallbackThreshold);
+      this.scheduler.clearTimeout(this.fallbackTimer);
+      this.fallbackTimer = this.scheduler.setTimeout(
+        fallback,
+        fallbackThreshold,
+      );
       this.ping((rtt) => {
-        this.log("transport", "connected to primary after", rtt);
+        this.log("transport", "connected to primary after", rtt, {
+          level: "info",
+          durationMs: rtt,
+        });
         this.primaryPassedHealthCheck = true;
-        clearTimeout(this.fallbackTimer);
+        this.scheduler.clearTimeout(this.fallbackTimer);
       });
     });
     this.transportConnect();
   }
 
   clearHeartbeats() {
-    clearTimeout(this.heartbeatTimer);
-    clearTimeout(this.heartbeatTimeoutTimer);
+    this.scheduler.clearTimeout(this.heartbeatTimer);
+    this.scheduler.clearTimeout(this.heartbeatTimeoutTimer);
+    this.scheduler.clearTimeout(this.heartbeatLateTimer);
   }
 
   onConnOpen() {
-    if (this.hasLogger())
+    this.record("open");
+    if (this.hasLogger()) {
       this.log(
         "transport",
-        `${this.transport.name} connected to ${this.endPointURL()}`,
+        `${this.transport.name} connected to ${withoutParams(this.connURL)}`,
+        undefined,
+        { level: "info" },
       );
+    }
     this.closeWasClean = false;
     this.establishedConnections++;
+    this.endpointPool.recordSuccess();
+    this.quality.reset();
+    this.authRefreshed = false;
+    this.transition({ name: "open" }, "open");
     this.flushSendBuffer();
     this.reconnectTimer.reset();
     this.resetHeartbeat();
@@ -463,16 +1214,28 @@ export default class Socket {
   heartbeatTimeout() {
     if (this.pendingHeartbeatRef) {
       this.pendingHeartbeatRef = null;
+      this.metrics.increment("heartbeatTimeouts");
       if (this.hasLogger()) {
         this.log(
           "transport",
           "heartbeat timeout. Attempting to re-establish connection",
+          undefined,
+          { level: "warn" },
         );
       }
       this.triggerChanError();
       this.closeWasClean = false;
+      this.recordEndpointFailure();
+      this.transition(
+        {
+          name: "reconnecting",
+          attempt: this.reconnectTimer.tries + 1,
+          nextDelay: null,
+        },
+        "heartbeat timeout",
+      );
       this.teardown(
-        () => this.reconnectTimer.scheduleTimeout(),
+        () => this.scheduleReconnect("heartbeat timeout"),
         WS_CLOSE_NORMAL,
         "heartbeat timeout",
       );
@@ -485,9 +1248,24 @@ export default class Socket {
     }
     this.pendingHeartbeatRef = null;
     this.clearHeartbeats();
-    this.heartbeatTimer = setTimeout(
+    this.scheduleHeartbeat();
+  }
+
+  /**
+   * @private
+   *
+   * Heartbeats slow down or stop while the page is hidden, per `hiddenHeartbeatIntervalMs`
+   */
+  scheduleHeartbeat() {
+    let interval = this.pageHidden
+      ? this.hiddenHeartbeatIntervalMs
+      : this.heartbeatIntervalMs;
+    if (interval === false) {
+      return;
+    }
+    this.heartbeatTimer = this.scheduler.setTimeout(
       () => this.sendHeartbeat(),
-      this.heartbeatIntervalMs,
+      interval,
     );
   }
 
@@ -498,6 +1276,7 @@ export default class Socket {
 
     this.waitForBufferDone(() => {
       if (this.conn) {
+        this.record("disconnect", { code, reason });
         if (code) {
           this.conn.close(code, reason || "");
         } else {
@@ -525,7 +1304,7 @@ export default class Socket {
       return;
     }
 
-    setTimeout(() => {
+    this.scheduler.setTimeout(() => {
       this.waitForBufferDone(callback, tries + 1);
     }, 150 * tries);
   }
@@ -540,27 +1319,268 @@ export default class Socket {
       return;
     }
 
-    setTimeout(() => {
+    this.scheduler.setTimeout(() => {
       this.waitForSocketClosed(callback, tries + 1);
     }, 150 * tries);
   }
 
   onConnClose(event) {
     let closeCode = event && event.code;
-    if (this.hasLogger()) this.log("transport", "close", event);
+    this.record("close", {
+      code: closeCode,
+      reason: event && event.reason,
+      wasClean: event && event.wasClean,
+    });
+    if (this.hasLogger())
+      this.log("transport", "close", event, { level: "info" });
     this.triggerChanError();
     this.clearHeartbeats();
-    if (!this.closeWasClean && closeCode !== 1000) {
-      this.reconnectTimer.scheduleTimeout();
+    if (!this.closeWasClean && closeCode === 1008 && this.authRefresher) {
+      this.onUnauthorized(event);
+    } else if (!this.closeWasClean && closeCode !== 1000) {
+      this.recordEndpointFailure();
+      this.scheduleReconnect("close");
+    } else if (
+      !this.closeWasClean &&
+      (this.stateMachine.current.name === "open" ||
+        this.stateMachine.current.name === "connecting")
+    ) {
+      this.transition({ name: "disconnected" }, "closed by server");
     }
     this.stateChangeCallbacks.close.forEach(([, callback]) => callback(event));
   }
 
+  /**
+   * @private
+   */
+  scheduleReconnect(reason) {
+    if (!this.networkOnline) {
+      this.awaitingNetwork = true;
+      this.transitionToAwaitingNetwork();
+      return;
+    }
+    this.reconnectTimer.scheduleTimeout();
+    if (this.reconnectTimer.isScheduled()) {
+      this.transition(
+        {
+          name: "reconnecting",
+          attempt: this.reconnectTimer.tries + 1,
+          nextDelay: this.reconnectTimer.previousDelay,
+        },
+        reason,
+      );
+    } else {
+      this.transition({ name: "disconnected" }, "reconnect gave up");
+    }
+  }
+
+  /**
+   * @private
+   */
+  onParamsError(error) {
+    if (this.hasLogger())
+      this.log("transport", "params provider failed", error, {
+        level: "error",
+      });
+    this.stateChangeCallbacks.error.forEach(([, callback]) =>
+      callback(error, this.transport, this.establishedConnections),
+    );
+    this.scheduleReconnect("params failed");
+  }
+
+  /**
+   * Runs `refreshAuth` with the reason the server rejected the socket or
+   * a channel. Concurrent callers share the same refresh.
+   *
+   * Returns a promise which rejects with an `AuthError` if `refreshAuth` throws.
+   *
+   * param {*} reason
+   * returns {Promise}
+   */
+  refreshAuth(reason) {
+    if (!this.authRefresh) {
+      this.authRefresh = Promise.resolve()
+        .then(() => this.authRefresher(reason))
+        .then(
+          () => {
+            this.authRefresh = null;
+          },
+          (error) => {
+            this.authRefresh = null;
+            throw new AuthError(reason, error);
+          },
+        );
+    }
+    return this.authRefresh;
+  }
+
+  /**
+   * @private
+   *
+   * Refreshes credentials once and reconnects. A second rejection before
+   * the connection opens is reported as an `AuthError`.
+   */
+  onUnauthorized(event) {
+    if (this.authRefreshed) {
+      return this.onAuthFailure(new AuthError(event));
+    }
+    this.authRefreshed = true;
+    this.transition(
+      {
+        name: "reconnecting",
+        attempt: this.reconnectTimer.tries + 1,
+        nextDelay: null,
+      },
+      "unauthorized",
+    );
+    let connectClock = this.connectClock;
+    this.refreshAuth(event).then(
+      () => {
+        if (connectClock === this.connectClock) {
+          this.teardown(() => this.connect());
+        }
+      },
+      (error) => {
+        if (connectClock === this.connectClock) {
+          this.onAuthFailure(error);
+        }
+      },
+    );
+  }
+
+  /**
+   * @private
+   */
+  onAuthFailure(error) {
+    if (this.hasLogger())
+      this.log("transport", "authentication failed", error, { level: "error" });
+    this.closeWasClean = true;
+    this.teardown();
+    this.stateChangeCallbacks.error.forEach(([, callback]) =>
+      callback(error, this.transport, this.establishedConnections),
+    );
+    this.transition({ name: "disconnected" }, "unauthorized");
+  }
+
+  /**
+   * @private
+   */
+  transitionToAwaitingNetwork() {
+    this.transition(
+      {
+        name: "reconnecting",
+        attempt: this.reconnectTimer.tries + 1,
+        nextDelay: null,
+      },
+      "offline",
+    );
+  }
+
+  /**
+   * @private
+   *
+   * Rejected transitions leave the state unchanged and are only logged.
+   */
+  transition(next, reason) {
+    let prev = this.stateMachine.current;
+    if (!this.stateMachine.transition(next, reason) && this.hasLogger()) {
+      this.log(
+        "state",
+        `rejected transition from ${prev.name} to ${next.name}`,
+        reason,
+        { level: "warn" },
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  onNetworkOffline() {
+    this.networkOnline = false;
+    if (this.hasLogger())
+      this.log("transport", "network offline", undefined, { level: "info" });
+    if (this.reconnectTimer.isScheduled()) {
+      this.reconnectTimer.reset();
+      this.awaitingNetwork = true;
+      this.transitionToAwaitingNetwork();
+    }
+    this.triggerConnectivityChange();
+  }
+
+  /**
+   * @private
+   */
+  onNetworkOnline() {
+    this.networkOnline = true;
+    if (this.hasLogger())
+      this.log("transport", "network online", undefined, { level: "info" });
+    if (this.awaitingNetwork) {
+      this.awaitingNetwork = false;
+      this.reconnectTimer.reset();
+      this.teardown(() => this.connect());
+    }
+    this.triggerConnectivityChange();
+  }
+
+  /**
+   * @private
+   */
+  onVisibilityChange(hidden) {
+    this.pageHidden = hidden;
+    if (this.isConnected() && !this.pendingHeartbeatRef) {
+      this.resetHeartbeat();
+    }
+    this.triggerConnectivityChange();
+  }
+
+  /**
+   * @private
+   */
+  triggerConnectivityChange() {
+    let connectivity = this.connectivity();
+    this.connectivityChangeCallbacks.forEach(([, callback]) =>
+      callback(connectivity),
+    );
+  }
+
+  /**
+   * @private
+   */
+  recordEndpointFailure() {
+    let previous = this.endpointPool.current();
+    if (!this.endpointPool.recordFailure()) {
+      return;
+    }
+    let endpoint = this.endpointPool.current();
+    this.endPoint = `${endpoint.url}/${TRANSPORTS.websocket}`;
+    if (this.hasLogger()) {
+      this.log(
+        "transport",
+        `moving from ${previous.url} to ${endpoint.url}`,
+        previous,
+        { level: "warn" },
+      );
+    }
+    this.endpointChangeCallbacks.forEach(([, callback]) =>
+      callback({ ...endpoint }, { ...previous }),
+    );
+  }
+
+  /**
+   * @private
+   */
+  record(type, fields) {
+    this.recorder && this.recorder.record(type, fields);
+  }
+
   /**
    * @private
    */
   onConnError(error) {
-    if (this.hasLogger()) this.log("transport", error);
+    this.record("error");
+    if (this.hasLogger())
+      this.log("transport", "error", error, { level: "error" });
     let transportBefore = this.transport;
     let establishedBefore = this.establishedConnections;
     this.stateChangeCallbacks.error.forEach(([, callback]) => {
@@ -606,7 +1626,7 @@ export default class Socket {
   }
 
   /**
-   * @private
+   * Removes the channel from the socket. Called by the channel on close.
    *
    * param {Channel}
    */
@@ -616,10 +1636,13 @@ export default class Socket {
   }
 
   /**
-   * Removes `onOpen`, `onClose`, `onError,` and `onMessage` registrations.
+   * Removes `onOpen`, `onClose`, `onError,`, `onMessage`, `onEndpointChange`
+   * and `onConnectivityChange` registrations, and middleware.
    *
-   * param {refs} - list of refs returned by calls to
-   *                 `onOpen`, `onClose`, `onError,` and `onMessage`
+   * param {refs} - list of refs returned by calls to `onOpen`, `onClose`, `onError,`,
+   *                 `onMessage`, `onEndpointChange`, `onConnectivityChange`,
+   *                 `onQualityChange`, `onStateChange`, `onStats`, `useOutbound`
+   *                 and `useInbound`
    */
   off(refs) {
     for (let key in this.stateChangeCallbacks) {
@@ -629,37 +1652,135 @@ export default class Socket {
         },
       );
     }
+    this.endpointChangeCallbacks = this.endpointChangeCallbacks.filter(
+      ([ref]) => refs.indexOf(ref) === -1,
+    );
+    this.connectivityChangeCallbacks = this.connectivityChangeCallbacks.filter(
+      ([ref]) => refs.indexOf(ref) === -1,
+    );
+    this.qualityChangeCallbacks = this.qualityChangeCallbacks.filter(
+      ([ref]) => refs.indexOf(ref) === -1,
+    );
+    this.connectionStateCallbacks = this.connectionStateCallbacks.filter(
+      ([ref]) => refs.indexOf(ref) === -1,
+    );
+    this.outboundMiddleware.remove(refs);
+    this.inboundMiddleware.remove(refs);
+    this.statsCallbacks = this.statsCallbacks.filter(
+      ([ref]) => refs.indexOf(ref) === -1,
+    );
+    if (this.statsTimer && this.statsCallbacks.length === 0) {
+      this.scheduler.clearTimeout(this.statsTimer);
+      this.statsTimer = null;
+    }
   }
 
   /**
    * Initiates a new channel for the given topic
    *
+   * Pass a `ChannelSchema` type argument to check event names, payloads
+   * and replies at compile time, ie `socket.channel<RoomSchema>("room:123")`.
+   *
    * param {string} topic
    * param {Object} chanParams - Parameters for the channel
    * returns {Channel}
+   *
+   * @template {import("./channel").ChannelSchema} [S=import("./channel").ChannelSchema]
    */
   channel(topic, chanParams = {}) {
-    let chan = new Channel(topic, chanParams, this);
+    let chan = /** @type {Channel<S>} */ (new Channel(topic, chanParams, this));
     this.channels.push(chan);
     return chan;
   }
 
   /**
    * param {Object} data
+   *
+   * returns {boolean} false if the message was rejected by a full send buffer. Messages
+   * delayed or dropped by outbound middleware count as accepted
    */
   push(data) {
-    if (this.hasLogger()) {
-      let { topic, event, payload, ref, join_ref } = data;
-      this.log("push", `${topic} ${event} (${join_ref}, ${ref})`, payload);
+    let accepted = true;
+    this.outboundMiddleware.run(data, (msg) => (accepted = this.send(msg)));
+    return accepted;
+  }
+
+  /**
+   * Sends the message once it passed the outbound middleware, or buffers it
+   * until the connection opens
+   *
+   * @private
+   *
+   * param {Object} data
+   * returns {boolean} false if rejected by a full `sendBuffer`
+   */
+  send(data) {
+    let { topic, event, payload, ref, join_ref } = data;
+    if (this.hasLogger("push")) {
+      this.log("push", `${topic} ${event} (${join_ref}, ${ref})`, payload, {
+        topic,
+        event,
+        ref,
+        joinRef: join_ref,
+      });
     }
 
     if (this.isConnected()) {
-      this.encode(data, (result) => this.conn.send(result));
-    } else {
-      this.sendBuffer.push(() =>
-        this.encode(data, (result) => this.conn.send(result)),
+      this.write(data);
+      return true;
+    }
+    let { accepted, policy } = this.sendBufferLimiter.enqueue(
+      this.sendBuffer,
+      () => this.write(data),
+      { topic, event, size: () => this.encodedSize(data) },
+    );
+    if (!accepted && this.hasLogger()) {
+      this.log(
+        "push",
+        `send buffer full, ${policy} ${topic} ${event}`,
+        policy,
+        {
+          level: "warn",
+          topic,
+          event,
+        },
       );
     }
+    return policy !== "reject";
+  }
+
+  /**
+   * @private
+   *
+   * param {Object} data
+   */
+  write(data) {
+    this.encode(data, (result) => {
+      this.metrics.recordSent(data.topic, data.event, byteSize(result));
+      this.recorder && this.recorder.recordFrame("send", result);
+      this.conn.send(result);
+    });
+  }
+
+  /**
+   * Returns the number of messages and encoded bytes held in the `sendBuffer`
+   *
+   * returns {Object}
+   */
+  sendBufferUsage() {
+    return this.sendBufferLimiter.usage(this.sendBuffer);
+  }
+
+  /**
+   * Returns the size in bytes of the message once encoded
+   *
+   * param {Object} data
+   * returns {number}
+   */
+  encodedSize(data) {
+    let bytes = 0;
+    this.encode(data, (result) => (bytes = byteSize(result)));
+    return bytes;
   }
 
   /**
@@ -688,7 +1809,12 @@ export default class Socket {
       payload: {},
       ref: this.pendingHeartbeatRef,
     });
-    this.heartbeatTimeoutTimer = setTimeout(
+    this.heartbeatSentAt = this.scheduler.now();
+    this.heartbeatLateTimer = this.scheduler.setTimeout(
+      () => this.quality.recordOverdue(),
+      this.lateHeartbeatMs,
+    );
+    this.heartbeatTimeoutTimer = this.scheduler.setTimeout(
       () => this.heartbeatTimeout(),
       this.heartbeatIntervalMs,
     );
@@ -698,41 +1824,60 @@ export default class Socket {
     if (this.isConnected() && this.sendBuffer.length > 0) {
       this.sendBuffer.forEach((callback) => callback());
       this.sendBuffer = [];
+      this.sendBufferLimiter.clear();
     }
   }
 
   onConnMessage(rawMessage) {
+    this.recorder && this.recorder.recordFrame("receive", rawMessage.data);
     this.decode(rawMessage.data, (msg) => {
-      let { topic, event, payload, ref, join_ref } = msg;
-      if (ref && ref === this.pendingHeartbeatRef) {
-        this.clearHeartbeats();
-        this.pendingHeartbeatRef = null;
-        this.heartbeatTimer = setTimeout(
-          () => this.sendHeartbeat(),
-          this.heartbeatIntervalMs,
-        );
-      }
+      this.metrics.recordReceived(
+        msg.topic,
+        msg.event,
+        byteSize(rawMessage.data),
+      );
+      this.inboundMiddleware.run(msg, (received) => this.dispatch(received));
+    });
+  }
 
-      if (this.hasLogger())
-        this.log(
-          "receive",
-          `${payload.status || ""} ${topic} ${event} ${(ref && "(" + ref + ")") || ""}`,
-          payload,
-        );
+  /**
+   * Dispatches a message which passed the inbound middleware
+   *
+   * @private
+   *
+   * param {Object} msg
+   */
+  dispatch(msg) {
+    let { topic, event, payload, ref, join_ref } = msg;
+    let rtt;
+    if (ref && ref === this.pendingHeartbeatRef) {
+      rtt = this.scheduler.now() - this.heartbeatSentAt;
+      this.quality.recordRtt(rtt, rtt >= this.lateHeartbeatMs);
+      this.clearHeartbeats();
+      this.pendingHeartbeatRef = null;
+      this.scheduleHeartbeat();
+    }
 
-      for (let i = 0; i < this.channels.length; i++) {
-        const channel = this.channels[i];
-        if (!channel.isMember(topic, event, payload, join_ref)) {
-          continue;
-        }
-        channel.trigger(event, payload, ref, join_ref);
-      }
+    if (this.hasLogger("receive"))
+      this.log(
+        "receive",
+        `${payload.status || ""} ${topic} ${event} ${(ref && "(" + ref + ")") || ""}`,
+        payload,
+        { topic, event, ref, joinRef: join_ref, durationMs: rtt },
+      );
 
-      for (let i = 0; i < this.stateChangeCallbacks.message.length; i++) {
-        let [, callback] = this.stateChangeCallbacks.message[i];
-        callback(msg);
+    for (let i = 0; i < this.channels.length; i++) {
+      const channel = this.channels[i];
+      if (!channel.isMember(topic, event, payload, join_ref)) {
+        continue;
       }
-    });
+      channel.trigger(event, payload, ref, join_ref);
+    }
+
+    for (let i = 0; i < this.stateChangeCallbacks.message.length; i++) {
+      let [, callback] = this.stateChangeCallbacks.message[i];
+      callback(msg);
+    }
   }
 
   leaveOpenTopic(topic) {
@@ -741,7 +1886,10 @@ export default class Socket {
     );
     if (dupChannel) {
       if (this.hasLogger())
-        this.log("transport", `leaving duplicate topic "${topic}"`);
+        this.log("transport", `leaving duplicate topic "${topic}"`, undefined, {
+          level: "info",
+          topic,
+        });
       dupChannel.leave();
     }
   }
@@ -0,0 +1,115 @@
+import { global, SOCKET_STATES, TRANSPORTS } from "./constants";
+import type { ParsedJSON } from "./constants";
+import type { AjaxResponse } from "./ajax";
+import LongPoll from "./longpoll";
+
+/**
+ * The surface of `EventSource` used by `ServerSentEvents`.
+ */
+export interface EventSourceLike {
+  onmessage: ((event: { data: string }) => void) | null;
+  onerror: ((event: unknown) => void) | null;
+  close(): void;
+}
+
+type EventSourceConstructor = new (
+  url: string,
+  init?: { withCredentials?: boolean },
+) => EventSourceLike;
+
+/**
+ * A transport receiving messages over a Server-Sent Events stream and
+ * sending them in batched POSTs, for networks which block WebSockets but
+ * stream HTTP responses.
+ *
+ * It speaks the `LongPoll` protocol on the `/sse` path of the endpoint:
+ * each event of the stream carries a `{status, token, messages}` response,
+ * starting with a `410` which opens the session and hands out the token the
+ * POSTs are made with. Unlike long polls, the stream is held open, so
+ * heartbeats are sent to detect a stalled stream.
+ *
+ * `EventSource` cannot send headers, so the `headers` of the request
+ * options only apply to POSTs, while `params` and an `"include"`
+ * `credentials` mode also apply to the stream.
+ *
+ * @example
+ * let socket = new Socket("/socket", {transport: ServerSentEvents})
+ * // or as the fallback of WebSocket
+ * let socket = new Socket("/socket", {
+ *   longPollFallbackMs: 2500,
+ *   fallbackTransport: ServerSentEvents
+ * })
+ */
+export default class ServerSentEvents extends LongPoll {
+  skipHeartbeat: boolean = false;
+  source: EventSourceLike | null = null;
+
+  normalizeEndpoint(endPoint: string) {
+    return endPoint
+      .replace("ws://", "http://")
+      .replace("wss://", "https://")
+      .replace(
+        new RegExp("(.*)/" + TRANSPORTS.websocket),
+        "$1/" + TRANSPORTS.sse,
+      );
+  }
+
+  /**
+   * Opens the event stream. Every event is handled as a long poll
+   * response, which polls again on the open stream.
+   */
+  poll() {
+    if (this.source || this.readyState === SOCKET_STATES.closed) {
+      return;
+    }
+    let EventSource = (global as { EventSource?: EventSourceConstructor })
+      .EventSource;
+    if (!EventSource) {
+      this.onerror("EventSource is not supported");
+      return this.close(1006, "EventSource is not supported", false);
+    }
+    let source = new EventSource(this.endpointURL(), {
+      withCredentials: this.requestOptions.credentials === "include",
+    });
+    source.onmessage = (event) => {
+      if (this.source !== source || !this.isActive()) {
+        return;
+      }
+      let resp: ParsedJSON;
+      try {
+        resp = JSON.parse(event.data);
+      } catch (e) {
+        this.onerror("invalid stream event");
+        return this.closeAndRetry(1011, "invalid stream event", false);
+      }
+      this.onPollResponse(resp);
+    };
+    // browsers reconnect streams by themselves, but the session and
+    // the messages sent meanwhile are lost, so the socket reconnects
+    source.onerror = () => {
+      if (this.source === source && this.isActive()) {
+        this.onerror("stream error");
+        this.closeAndRetry(1006, "stream error", false);
+      }
+    };
+    this.source = source;
+  }
+
+  /**
+   * Reports a failed response of the stream and closes it, as polling again
+   * would not reopen it, so the socket reconnects.
+   */
+  retryPoll(status: number, http?: AjaxResponse) {
+    this.failedPolls++;
+    this.onerror(this.failure(status, http, null));
+    this.closeAndRetry(1011, "poll failed", false);
+  }
+
+  close(code: number, reason: string, wasClean: boolean | number) {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    super.close(code, reason, wasClean);
+  }
+}
@@ -0,0 +1,72 @@
+export type ConnectionStateName =
+  | "idle"
+  | "connecting"
+  | "open"
+  | "reconnecting"
+  | "fallingBack"
+  | "disconnected";
+
+/**
+ * `attempt` is the reconnect attempt about to be made and `nextDelay` the
+ * milliseconds until it, or `null` while the delay is not known yet, ie
+ * while the socket is closing or waiting for the network.
+ */
+export type ConnectionState =
+  | { name: "reconnecting"; attempt: number; nextDelay: number | null }
+  | { name: Exclude<ConnectionStateName, "reconnecting"> };
+
+export type StateChangeCallback = (
+  prev: ConnectionState,
+  next: ConnectionState,
+  reason: string,
+) => void;
+
+const TRANSITIONS: Record<ConnectionStateName, ConnectionStateName[]> = {
+  idle: ["connecting", "disconnected"],
+  connecting: ["open", "fallingBack", "reconnecting", "disconnected"],
+  open: ["fallingBack", "reconnecting", "disconnected"],
+  fallingBack: ["open", "reconnecting", "disconnected"],
+  reconnecting: ["reconnecting", "connecting", "disconnected"],
+  disconnected: ["connecting"],
+};
+
+/**
+ * Tracks the lifecycle of a `Socket` connection:
+ *
+ * ```
+ * idle -> connecting -> open -> reconnecting -> connecting -> ...
+ *              \          \
+ *               fallingBack  disconnected
+ * ```
+ *
+ * Transitions not allowed from the current state are rejected and leave
+ * the state unchanged. `reconnecting` may transition to itself as the
+ * attempt and delay are updated.
+ */
+export default class ConnectionStateMachine {
+  current: ConnectionState = { name: "idle" };
+  onChange: StateChangeCallback;
+
+  constructor(onChange: StateChangeCallback) {
+    this.onChange = onChange;
+  }
+
+  can(name: ConnectionStateName): boolean {
+    return TRANSITIONS[this.current.name].indexOf(name) !== -1;
+  }
+
+  /**
+   * Moves to `next` and notifies `onChange`.
+   *
+   * Returns false if the transition is not allowed.
+   */
+  transition(next: ConnectionState, reason: string): boolean {
+    if (!this.can(next.name)) {
+      return false;
+    }
+    let prev = this.current;
+    this.current = next;
+    this.onChange(prev, next, reason);
+    return true;
+  }
+}
@@ -0,0 +1,398 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import { phxWindow, SOCKET_STATES } from "./constants";
+import TabHub from "./hub";
+import type { Decoder, Encoder } from "./hub";
+import type { EncodedMessage } from "./serializer";
+import type { TimerId } from "./timer";
+
+export interface BroadcastChannelLike {
+  postMessage(message: any): void;
+  onmessage: ((event: { data: any }) => void) | null;
+  close(): void;
+}
+
+/**
+ * - `name` - tabs sharing a connection must use the same name. Defaults to `"phoenix"`
+ * - `electionMs` - how long a tab waits for a leader before claiming leadership.
+ *   Defaults to 250
+ * - `heartbeatMs` - how often the leader announces itself. Followers elect a new
+ *   leader after three missed announcements. Defaults to 1000
+ * - `broadcastChannel` - creates the channel tabs talk over, ie to use a
+ *   `SharedWorker` port instead. Defaults to a `BroadcastChannel`
+ */
+export type SharedConnectionOptions = {
+  name?: string;
+  electionMs?: number;
+  heartbeatMs?: number;
+  broadcastChannel?: (name: string) => BroadcastChannelLike;
+};
+
+/**
+ * The transport the leader falls back to when its connection does not open
+ * within `afterMs`, and the serializer used over it.
+ */
+export type TabFallback = {
+  afterMs: number;
+  createTransport: (url: string) => any;
+  encode: Encoder;
+  decode: Decoder;
+};
+
+type TabMessage = {
+  type:
+    | "hello"
+    | "leader"
+    | "resign"
+    | "connect"
+    | "send"
+    | "disconnect"
+    | "open"
+    | "message"
+    | "close";
+  from?: string;
+  to?: string;
+  [key: string]: any;
+};
+
+/**
+ * The transport of a `Socket` sharing its connection with other tabs. It
+ * talks to the hub of the leader tab, which holds the real transport.
+ */
+export class TabTransport {
+  readyState: SOCKET_STATES = SOCKET_STATES.connecting;
+  binaryType: string = "arraybuffer";
+  timeout: number = 0;
+  url: string;
+  coordinator: TabCoordinator;
+
+  onopen: (event: any) => void = function () {}; // noop
+  onerror: (error: any) => void = function () {}; // noop
+  onmessage: (event: any) => void = function () {}; // noop
+  onclose: (event: any) => void = function () {}; // noop
+
+  constructor(coordinator: TabCoordinator, url: string) {
+    this.coordinator = coordinator;
+    this.url = url;
+    coordinator.attach(this);
+  }
+
+  send(data: EncodedMessage) {
+    this.coordinator.sendToLeader({ type: "send", data });
+  }
+
+  close(code: number = 1000, reason: string = "") {
+    this.coordinator.detach(this);
+    this.closed(code, reason);
+  }
+
+  opened() {
+    this.readyState = SOCKET_STATES.open;
+    this.onopen({});
+  }
+
+  /**
+   * Like a WebSocket, the close event is dispatched after `close()` returns.
+   */
+  closed(code: number, reason: string) {
+    if (this.readyState === SOCKET_STATES.closed) {
+      return;
+    }
+    this.readyState = SOCKET_STATES.closed;
+    Promise.resolve().then(() =>
+      this.onclose({ code, reason, wasClean: code === 1000 }),
+    );
+  }
+}
+
+/**
+ * Elects a leader among the tabs of a browser, so only the leader holds
+ * a connection to the server.
+ *
+ * A tab announces itself with `"hello"` and claims leadership if no leader
+ * answers within `electionMs`. When two tabs claim at once, the tab with the
+ * lower id wins. The leader announces itself every `heartbeatMs` and resigns
+ * when its page is hidden, after which the remaining tabs elect a new leader.
+ *
+ * Each tab connects its `Socket` through a `TabTransport`, including the
+ * leader, whose messages are delivered to its own `TabHub` without going
+ * over the channel. When the leader changes, the transport closes so the
+ * socket reconnects and rejoins its channels through the new leader.
+ */
+export default class TabCoordinator {
+  id: string;
+  channel: BroadcastChannelLike;
+  electionMs: number;
+  heartbeatMs: number;
+  createTransport: (url: string) => any;
+  createChannel: (name: string) => BroadcastChannelLike;
+  channelName: string;
+  encode: Encoder;
+  decode: Decoder;
+  transport: new (url: string) => TabTransport;
+  leaderId: string | null = null;
+  hub: TabHub | null = null;
+  conn: TabTransport | null = null;
+  connectedTo: string | null = null;
+  electionTimer: TimerId | null = null;
+  leaderWatchTimer: TimerId | null = null;
+  heartbeatTimer: TimerId | null = null;
+  closed: boolean = false;
+  scheduler: Scheduler;
+  fallback: TabFallback | null;
+  onPageHide = () => this.resign();
+  onPageShow = () => this.leaderId || this.elect();
+
+  /**
+   * `createTransport` builds the connection held by the hub while this tab
+   * leads, configured as the socket configures its own, and `fallback`
+   * replaces it when it does not open.
+   */
+  constructor(
+    opts: SharedConnectionOptions,
+    createTransport: (url: string) => any,
+    encode: Encoder,
+    decode: Decoder,
+    scheduler: Scheduler = defaultScheduler,
+    fallback: TabFallback | null = null,
+  ) {
+    this.scheduler = scheduler;
+    this.fallback = fallback;
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    this.electionMs = opts.electionMs || 250;
+    this.heartbeatMs = opts.heartbeatMs || 1000;
+    this.createTransport = createTransport;
+    this.encode = encode;
+    this.decode = decode;
+    this.createChannel =
+      opts.broadcastChannel ||
+      ((name: string) =>
+        new BroadcastChannel(name) as unknown as BroadcastChannelLike);
+    this.channelName = `phx:tabs:${opts.name || "phoenix"}`;
+    this.channel = this.createChannel(this.channelName);
+
+    let coordinator = this;
+    this.transport = class SharedTransport extends TabTransport {
+      constructor(url: string) {
+        super(coordinator, url);
+      }
+    };
+    this.listen();
+  }
+
+  /**
+   * Takes part in elections again after `close`.
+   */
+  open() {
+    if (this.closed) {
+      this.closed = false;
+      this.channel = this.createChannel(this.channelName);
+      this.listen();
+    }
+  }
+
+  isLeader(): boolean {
+    return this.leaderId === this.id;
+  }
+
+  /**
+   * Hands leadership over to another tab.
+   */
+  resign() {
+    if (this.isLeader()) {
+      this.post({ type: "resign" });
+      this.stepDown();
+    }
+  }
+
+  /**
+   * Resigns and stops taking part in elections.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.resign();
+    this.closed = true;
+    this.setLeader(null);
+    this.clearTimers();
+    this.channel.close();
+    if (phxWindow && phxWindow.removeEventListener) {
+      phxWindow.removeEventListener("pagehide", this.onPageHide);
+      phxWindow.removeEventListener("pageshow", this.onPageShow);
+    }
+  }
+
+  private listen() {
+    this.channel.onmessage = (event) => this.receive(event.data);
+    if (phxWindow && phxWindow.addEventListener) {
+      phxWindow.addEventListener("pagehide", this.onPageHide);
+      phxWindow.addEventListener("pageshow", this.onPageShow);
+    }
+    this.elect();
+  }
+
+  attach(conn: TabTransport) {
+    this.conn = conn;
+    this.connectedTo = null;
+    if (this.leaderId) {
+      this.connectToLeader();
+    } else if (!this.electionTimer) {
+      this.elect();
+    }
+  }
+
+  detach(conn: TabTransport) {
+    if (this.conn !== conn) {
+      return;
+    }
+    if (this.connectedTo) {
+      this.post({ type: "disconnect", to: this.connectedTo });
+    }
+    this.conn = null;
+    this.connectedTo = null;
+  }
+
+  sendToLeader(msg: TabMessage) {
+    if (this.connectedTo) {
+      this.post({ ...msg, to: this.connectedTo });
+    }
+  }
+
+  /**
+   * Messages to this tab are delivered asynchronously, as over the channel.
+   */
+  post(msg: TabMessage) {
+    let envelope = { ...msg, from: this.id };
+    if (msg.to === this.id) {
+      Promise.resolve().then(() => this.receive(envelope));
+    } else {
+      this.channel.postMessage(envelope);
+    }
+  }
+
+  private receive(msg: TabMessage) {
+    if (this.closed || (msg.to && msg.to !== this.id)) {
+      return;
+    }
+    let from = msg.from as string;
+    let fromLeader = !!this.conn && from === this.connectedTo;
+    switch (msg.type) {
+      case "hello":
+        return this.isLeader() && this.post({ type: "leader" });
+      case "leader":
+        return this.onLeader(from);
+      case "resign":
+        if (from === this.leaderId) {
+          this.setLeader(null);
+          this.elect();
+        }
+        return;
+      case "connect":
+        return this.hub && this.hub.connectTab(from, msg.url);
+      case "send":
+        return this.hub && this.hub.receive(from, msg.data);
+      case "disconnect":
+        return this.hub && this.hub.disconnectTab(from);
+      case "open":
+        return fromLeader && this.conn && this.conn.opened();
+      case "message":
+        return (
+          fromLeader && this.conn && this.conn.onmessage({ data: msg.data })
+        );
+      case "close":
+        if (fromLeader && this.conn) {
+          this.conn.closed(msg.code, msg.reason);
+          this.conn = null;
+          this.connectedTo = null;
+        }
+        return;
+    }
+  }
+
+  private elect() {
+    if (this.closed) {
+      return;
+    }
+    this.post({ type: "hello" });
+    this.scheduler.clearTimeout(this.electionTimer);
+    this.electionTimer = this.scheduler.setTimeout(() => {
+      this.electionTimer = null;
+      if (!this.leaderId) {
+        this.becomeLeader();
+      }
+    }, this.electionMs);
+  }
+
+  private onLeader(from: string) {
+    if (this.isLeader()) {
+      if (from > this.id) {
+        return this.post({ type: "leader" });
+      }
+      this.stepDown();
+    }
+    this.scheduler.clearTimeout(this.electionTimer);
+    this.electionTimer = null;
+    this.scheduler.clearTimeout(this.leaderWatchTimer);
+    this.leaderWatchTimer = this.scheduler.setTimeout(() => {
+      this.setLeader(null);
+      this.elect();
+    }, this.heartbeatMs * 3);
+    this.setLeader(from);
+  }
+
+  private becomeLeader() {
+    this.hub = new TabHub(this, this.createTransport, this.encode, this.decode);
+    this.scheduler.clearTimeout(this.leaderWatchTimer);
+    this.announce();
+    this.setLeader(this.id);
+  }
+
+  private announce() {
+    this.post({ type: "leader" });
+    this.heartbeatTimer = this.scheduler.setTimeout(
+      () => this.announce(),
+      this.heartbeatMs,
+    );
+  }
+
+  private stepDown() {
+    this.scheduler.clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.hub && this.hub.close(1012, "leader changed");
+    this.hub = null;
+    this.setLeader(null);
+  }
+
+  private setLeader(id: string | null) {
+    if (id === this.leaderId) {
+      return;
+    }
+    this.leaderId = id;
+    if (!this.conn) {
+      return;
+    }
+    if (this.connectedTo) {
+      // the socket reconnects and rejoins through the new leader
+      let conn = this.conn;
+      this.conn = null;
+      this.connectedTo = null;
+      conn.closed(1012, "leader changed");
+    } else if (id) {
+      this.connectToLeader();
+    }
+  }
+
+  private connectToLeader() {
+    let conn = this.conn as TabTransport;
+    let leaderId = this.leaderId as string;
+    this.connectedTo = leaderId;
+    this.post({ type: "connect", to: leaderId, url: conn.url });
+  }
+
+  private clearTimers() {
+    this.scheduler.clearTimeout(this.electionTimer);
+    this.scheduler.clearTimeout(this.leaderWatchTimer);
+    this.scheduler.clearTimeout(this.heartbeatTimer);
+  }
+}
@@ -0,0 +1,483 @@
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+import { CHANNEL_EVENTS, SOCKET_STATES } from "./constants";
+import type {
+  AfterDecodeCallback,
+  AfterEncodeCallback,
+  DecodedMessage,
+  EncodedMessage,
+  MessageMeta,
+} from "./serializer";
+
+export type MockReply = {
+  status: "ok" | "error";
+  response?: unknown;
+};
+
+/**
+ * `null` leaves the push unanswered, ie to time it out. Replies may be
+ * returned as a promise.
+ */
+export type MockHandlerResult =
+  MockReply | null | undefined | Promise<MockReply | null | undefined>;
+
+export type MockHandler = (
+  payload: any,
+  msg: DecodedMessage,
+  conn: MockConnection,
+) => MockHandlerResult;
+
+export type TopicPattern = string | RegExp;
+
+/**
+ * - `latencyMs` - delays every frame sent to the client. Frames are
+ *   delivered in a microtask by default
+ * - `heartbeats` - whether heartbeats are answered. Defaults to true
+ * - `scheduler` - schedules the delayed frames, ie the `VirtualClock`
+ *   driving the socket
+ * - `serializer` - the `opts.serializer` of the socket, ie
+ *   `MessagePackSerializer`. Frames are JSON by default
+ */
+export type MockServerOptions = {
+  latencyMs?: number;
+  heartbeats?: boolean;
+  scheduler?: Scheduler;
+  serializer?: MockSerializer;
+};
+
+export type MockSerializer = {
+  encode(msg: DecodedMessage, callback: AfterEncodeCallback): unknown;
+  decode(rawMsg: EncodedMessage, callback: AfterDecodeCallback): unknown;
+};
+
+let matches = (pattern: TopicPattern, topic: string) => {
+  if (pattern instanceof RegExp) {
+    return pattern.test(topic);
+  }
+  return pattern.endsWith("*")
+    ? topic.startsWith(pattern.slice(0, -1))
+    : pattern === topic;
+};
+
+/**
+ * Decodes a frame pushed by the client, which is a JSON array or, for
+ * binary payloads, the binary push format of `Serializer`.
+ */
+let decodeFrame = (data: EncodedMessage): DecodedMessage => {
+  if (typeof data === "string") {
+    let [join_ref, ref, topic, event, payload] = JSON.parse(data);
+    return { join_ref, ref, topic, event, payload };
+  }
+  let view = new DataView(data);
+  let decoder = new TextDecoder();
+  let sizes = [1, 2, 3, 4].map((i) => view.getUint8(i));
+  let offset = 5;
+  let [join_ref, ref, topic, event] = sizes.map((size) => {
+    let text = decoder.decode(data.slice(offset, offset + size));
+    offset += size;
+    return text;
+  });
+  return {
+    join_ref: join_ref || null,
+    ref: ref || null,
+    topic,
+    event,
+    payload: data.slice(offset),
+  };
+};
+
+/**
+ * The server side of a client connection to a `MockServer`.
+ */
+export class MockConnection {
+  server: MockServer;
+  transport: MockTransport;
+  channels: Map<string, string | null> = new Map();
+
+  constructor(server: MockServer, transport: MockTransport) {
+    this.server = server;
+    this.transport = transport;
+  }
+
+  /**
+   * Sends a message to the client.
+   */
+  send(msg: MessageMeta & { payload: unknown }) {
+    let data = this.server.encode(msg);
+    this.server.deliver(() => {
+      if (this.transport.readyState === SOCKET_STATES.open) {
+        this.transport.onmessage({ data });
+      }
+    });
+  }
+
+  reply(msg: DecodedMessage, reply: MockReply) {
+    this.send({
+      join_ref: msg.join_ref,
+      ref: msg.ref,
+      topic: msg.topic,
+      event: CHANNEL_EVENTS.reply,
+      payload: { status: reply.status, response: reply.response || {} },
+    });
+  }
+
+  /**
+   * Closes the connection from the server side.
+   */
+  close(code: number, reason: string = "") {
+    this.server.disconnected(this);
+    this.server.deliver(() => {
+      if (this.transport.readyState !== SOCKET_STATES.closed) {
+        this.transport.readyState = SOCKET_STATES.closed;
+        this.transport.onclose({ code, reason, wasClean: code === 1000 });
+      }
+    });
+  }
+}
+
+/**
+ * The client side transport of a `MockServer`, with the surface of a
+ * `WebSocket`.
+ */
+export class MockTransport {
+  readyState: SOCKET_STATES = SOCKET_STATES.connecting;
+  binaryType: string = "arraybuffer";
+  timeout: number = 0;
+  url: string;
+  conn: MockConnection;
+
+  onopen: (event: any) => void = function () {}; // noop
+  onerror: (error: any) => void = function () {}; // noop
+  onmessage: (event: any) => void = function () {}; // noop
+  onclose: (event: any) => void = function () {}; // noop
+
+  constructor(server: MockServer, url: string) {
+    this.url = url;
+    this.conn = new MockConnection(server, this);
+    server.connect(this.conn);
+  }
+
+  send(data: EncodedMessage) {
+    if (this.readyState === SOCKET_STATES.open) {
+      this.conn.server.receive(this.conn, this.conn.server.decode(data));
+    }
+  }
+
+  close(code: number = 1000, reason: string = "") {
+    if (this.readyState === SOCKET_STATES.closed) {
+      return;
+    }
+    this.readyState = SOCKET_STATES.closed;
+    this.conn.server.disconnected(this.conn);
+    Promise.resolve().then(() =>
+      this.onclose({ code, reason, wasClean: code === 1000 }),
+    );
+  }
+}
+
+/**
+ * A scriptable in-memory Phoenix server for application tests, connected
+ * to by passing its `transport` as `opts.transport` of a `Socket`.
+ *
+ * Joins and pushes are answered with an `"ok"` reply unless a handler is
+ * registered for their topic. Topics can be matched exactly, by a prefix
+ * ending with `*`, or by a regular expression. Every message the client
+ * pushed is kept in `messages` for assertions.
+ *
+ * Frames are sent and read as JSON, or with `opts.serializer`, which must
+ * be the serializer of the socket connecting to the server. Handlers that
+ * throw or reject answer with an `"error"` reply of `{reason: message}`.
+ *
+ * @example
+ * let server = new MockServer()
+ * server.onJoin("room:*", ({token}) =>
+ *   token ? {status: "ok"} : {status: "error", response: {reason: "unauthorized"}}
+ * )
+ * server.onPush("room:lobby", "new_msg", () => ({status: "ok", response: {id: 1}}))
+ *
+ * let socket = new Socket("/socket", {transport: server.transport})
+ * await socket.connect()
+ * let channel = socket.channel("room:lobby", {token: "abc"})
+ * await channel.join()
+ * await channel.push("new_msg", {body: "hi"})
+ * expect(server.pushed("room:lobby", "new_msg")).toEqual([{body: "hi"}])
+ * server.broadcast("room:lobby", "new_msg", {body: "hello"})
+ */
+export default class MockServer {
+  transport: new (url: string) => MockTransport;
+  connections: MockConnection[] = [];
+  messages: DecodedMessage[] = [];
+  latencyMs: number;
+  heartbeats: boolean;
+  scheduler: Scheduler;
+  serializer: MockSerializer | null;
+  refusing: boolean = false;
+  joinHandlers: Array<[TopicPattern, MockHandler]> = [];
+  pushHandlers: Array<[TopicPattern, string, MockHandler]> = [];
+
+  constructor(opts: MockServerOptions = {}) {
+    this.latencyMs = opts.latencyMs || 0;
+    this.heartbeats = opts.heartbeats !== false;
+    this.scheduler = opts.scheduler || defaultScheduler;
+    this.serializer = opts.serializer || null;
+    let server = this;
+    this.transport = class MockServerTransport extends MockTransport {
+      constructor(url: string) {
+        super(server, url);
+      }
+    };
+  }
+
+  /**
+   * Handles joins of matching topics, called with the join params.
+   */
+  onJoin(topic: TopicPattern, handler: MockHandler) {
+    this.joinHandlers.unshift([topic, handler]);
+  }
+
+  /**
+   * Handles pushes of `event` to matching topics, called with the payload.
+   */
+  onPush(topic: TopicPattern, event: string, handler: MockHandler) {
+    this.pushHandlers.unshift([topic, event, handler]);
+  }
+
+  /**
+   * Returns the payloads the client pushed, optionally of one topic and event.
+   * Heartbeats, joins and leaves are only kept in `messages`.
+   */
+  pushed(topic?: string, event?: string): unknown[] {
+    return this.messages
+      .filter(
+        (msg) =>
+          msg.topic !== "phoenix" &&
+          msg.event !== CHANNEL_EVENTS.join &&
+          msg.event !== CHANNEL_EVENTS.leave &&
+          (topic === undefined || msg.topic === topic) &&
+          (event === undefined || msg.event === event),
+      )
+      .map((msg) => msg.payload);
+  }
+
+  /**
+   * Returns whether a client is joined to `topic`.
+   */
+  isJoined(topic: string): boolean {
+    return this.connections.some((conn) => conn.channels.has(topic));
+  }
+
+  /**
+   * Sends an event to every client joined to `topic`.
+   */
+  broadcast(topic: string, event: string, payload: unknown = {}) {
+    this.members(topic).forEach(([conn, joinRef]) =>
+      conn.send({
+        join_ref: joinRef,
+        ref: null,
+        topic,
+        event,
+        payload,
+      }),
+    );
+  }
+
+  presenceState(topic: string, state: Record<string, unknown>) {
+    this.broadcast(topic, "presence_state", state);
+  }
+
+  presenceDiff(
+    topic: string,
+    diff: { joins?: Record<string, unknown>; leaves?: Record<string, unknown> },
+  ) {
+    this.broadcast(topic, "presence_diff", {
+      joins: diff.joins || {},
+      leaves: diff.leaves || {},
+    });
+  }
+
+  /**
+   * Simulates the channel process of `topic` crashing, after which
+   * clients rejoin.
+   */
+  crash(topic: string) {
+    this.members(topic).forEach(([conn, joinRef]) => {
+      conn.channels.delete(topic);
+      conn.send({
+        join_ref: joinRef,
+        ref: joinRef,
+        topic,
+        event: CHANNEL_EVENTS.error,
+        payload: {},
+      });
+    });
+  }
+
+  /**
+   * Closes the channel of `topic` from the server, as on a duplicate join.
+   */
+  closeChannel(topic: string) {
+    this.members(topic).forEach(([conn, joinRef]) => {
+      conn.channels.delete(topic);
+      conn.send({
+        join_ref: joinRef,
+        ref: joinRef,
+        topic,
+        event: CHANNEL_EVENTS.close,
+        payload: {},
+      });
+    });
+  }
+
+  /**
+   * Closes every connection, by default as if the network dropped.
+   */
+  disconnect(code: number = 1006, reason: string = "") {
+    this.connections.slice().forEach((conn) => conn.close(code, reason));
+  }
+
+  /**
+   * While refusing, new connections error and close.
+   */
+  refuseConnections(refusing: boolean = true) {
+    this.refusing = refusing;
+  }
+
+  /**
+   * @internal
+   */
+  connect(conn: MockConnection) {
+    this.deliver(() => {
+      let transport = conn.transport;
+      if (transport.readyState !== SOCKET_STATES.connecting) {
+        return;
+      }
+      if (this.refusing) {
+        transport.readyState = SOCKET_STATES.closed;
+        transport.onerror({ type: "error" });
+        transport.onclose({ code: 1006, reason: "", wasClean: false });
+      } else {
+        this.connections.push(conn);
+        transport.readyState = SOCKET_STATES.open;
+        transport.onopen({});
+      }
+    });
+  }
+
+  /**
+   * @internal
+   */
+  disconnected(conn: MockConnection) {
+    this.connections = this.connections.filter((other) => other !== conn);
+  }
+
+  /**
+   * @internal
+   */
+  deliver(callback: () => void) {
+    if (this.latencyMs > 0) {
+      this.scheduler.setTimeout(callback, this.latencyMs);
+    } else {
+      Promise.resolve().then(callback);
+    }
+  }
+
+  /**
+   * @internal
+   */
+  encode(msg: MessageMeta & { payload: unknown }): EncodedMessage {
+    if (!this.serializer) {
+      return JSON.stringify([
+        msg.join_ref,
+        msg.ref,
+        msg.topic,
+        msg.event,
+        msg.payload,
+      ]);
+    }
+    let data: EncodedMessage = "";
+    this.serializer.encode(msg as DecodedMessage, (result) => (data = result));
+    return data;
+  }
+
+  /**
+   * @internal
+   */
+  decode(data: EncodedMessage): DecodedMessage {
+    if (!this.serializer) {
+      return decodeFrame(data);
+    }
+    let msg = null as DecodedMessage | null;
+    this.serializer.decode(data, (result) => (msg = result));
+    return msg as DecodedMessage;
+  }
+
+  /**
+   * @internal
+   */
+  receive(conn: MockConnection, msg: DecodedMessage) {
+    this.messages.push(msg);
+    if (msg.topic === "phoenix" && msg.event === "heartbeat") {
+      return this.heartbeats && conn.reply(msg, { status: "ok" });
+    }
+    switch (msg.event) {
+      case CHANNEL_EVENTS.join:
+        return this.handle(this.joinHandler(msg.topic), conn, msg, (reply) => {
+          if (reply.status === "ok") {
+            conn.channels.set(msg.topic, msg.join_ref);
+          }
+        });
+      case CHANNEL_EVENTS.leave:
+        conn.channels.delete(msg.topic);
+        return conn.reply(msg, { status: "ok" });
+      default:
+        if (!conn.channels.has(msg.topic)) {
+          return conn.reply(msg, {
+            status: "error",
+            response: { reason: "unmatched topic" },
+          });
+        }
+        return this.handle(this.pushHandler(msg), conn, msg);
+    }
+  }
+
+  private handle(
+    handler: MockHandler | null,
+    conn: MockConnection,
+    msg: DecodedMessage,
+    onReply: (reply: MockReply) => void = () => {},
+  ) {
+    new Promise<MockReply | null | undefined>((resolve) =>
+      resolve(handler ? handler(msg.payload, msg, conn) : { status: "ok" }),
+    ).then(
+      (reply) => {
+        if (reply) {
+          onReply(reply);
+          conn.reply(msg, reply);
+        }
+      },
+      (error) =>
+        conn.reply(msg, {
+          status: "error",
+          response: { reason: error instanceof Error ? error.message : error },
+        }),
+    );
+  }
+
+  private joinHandler(topic: string) {
+    let found = this.joinHandlers.find(([pattern]) => matches(pattern, topic));
+    return found ? found[1] : null;
+  }
+
+  private pushHandler(msg: DecodedMessage) {
+    let found = this.pushHandlers.find(
+      ([pattern, event]) => event === msg.event && matches(pattern, msg.topic),
+    );
+    return found ? found[2] : null;
+  }
+
+  private members(topic: string): Array<[MockConnection, string | null]> {
+    return this.connections
+      .filter((conn) => conn.channels.has(topic))
+      .map((conn) => [conn, conn.channels.get(topic) as string | null]);
+  }
+}
@@ -1,3 +1,8 @@
+import { isBackoffPolicy } from "./backoff";
+import type { BackoffPolicy } from "./backoff";
+import { defaultScheduler } from "./clock";
+import type { Scheduler } from "./clock";
+
 export type TimerId = number;
 type TimerCallback = () => void;
 type TimerCalculation = (tries: number) => number;
@@ -6,6 +11,11 @@ type TimerCalculation = (tries: number) => number;
  * Creates a timer that accepts a `timerCalc` function to perform
  * calculated timeout retries, such as exponential backoff.
  *
+ * `timerCalc` may also be a `BackoffPolicy`, such as `Backoff.fullJitter()`,
+ * which can give up retrying and defer resets to a reset window.
+ *
+ * Timeouts are scheduled with `scheduler`, the global timers by default.
+ *
  * @example
  * let reconnectTimer = new Timer(() => this.connect(), tries => [1000, 5000, 10000][tries - 1] || 10000);
  * reconnectTimer.scheduleTimeout(); // fires after 1000 ms
@@ -17,37 +27,81 @@ export default class Timer {
   timer: TimerId | null = null;
   tries: number = 0;
   callback: TimerCallback;
-  timerCalc: TimerCalculation;
+  timerCalc: TimerCalculation | BackoffPolicy;
+  previousDelay: number | null = null;
+  resetAt: number | null = null;
+  scheduler: Scheduler;
 
-  constructor(callback: TimerCallback, timerCalc: TimerCalculation) {
+  constructor(
+    callback: TimerCallback,
+    timerCalc: TimerCalculation | BackoffPolicy,
+    scheduler: Scheduler = defaultScheduler,
+  ) {
     this.callback = callback;
     this.timerCalc = timerCalc;
+    this.scheduler = scheduler;
   }
 
   /**
    * Resets the timer and tries counter.
    */
   reset(): void {
-    this.tries = 0;
+    if (isBackoffPolicy(this.timerCalc) && this.timerCalc.resetAfterMs) {
+      this.resetAt = this.scheduler.now();
+    } else {
+      this.tries = 0;
+      this.previousDelay = null;
+    }
     if (this.timer) {
-      clearTimeout(this.timer);
+      this.scheduler.clearTimeout(this.timer);
+      this.timer = null;
     }
   }
 
+  /**
+   * Returns true while a callback is scheduled and has not fired yet.
+   */
+  isScheduled(): boolean {
+    return this.timer !== null;
+  }
+
   /**
    * Cancels any previous scheduleTimeout and schedules callback.
    */
   scheduleTimeout(): void {
     if (this.timer) {
-      clearTimeout(this.timer);
+      this.scheduler.clearTimeout(this.timer);
+    }
+
+    let delay = this.nextDelay();
+    if (delay === null) {
+      this.timer = null;
+      isBackoffPolicy(this.timerCalc) &&
+        this.timerCalc.onGiveUp &&
+        this.timerCalc.onGiveUp(this.tries);
+      return;
     }
 
-    this.timer = setTimeout(
-      () => {
-        this.tries += 1;
-        this.callback();
-      },
-      this.timerCalc(this.tries + 1),
-    );
+    this.previousDelay = delay;
+    this.timer = this.scheduler.setTimeout(() => {
+      this.timer = null;
+      this.tries += 1;
+      this.callback();
+    }, delay);
+  }
+
+  private nextDelay(): number | null {
+    if (!isBackoffPolicy(this.timerCalc)) {
+      return this.timerCalc(this.tries + 1);
+    }
+    let { resetAfterMs } = this.timerCalc;
+    if (this.resetAt !== null && resetAfterMs) {
+      if (this.scheduler.now() - this.resetAt >= resetAfterMs) {
+        this.tries = 0;
+        this.previousDelay = null;
+      }
+      this.resetAt = null;
+    }
+    return this.timerCalc.delay(this.tries + 1, this.previousDelay);
   }
 }
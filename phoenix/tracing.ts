@@ -0,0 +1,62 @@
+import type { PushStatus } from "./push";
+
+export type SpanKind = "push" | "join" | "rejoin";
+
+/**
+ * Describes the push a span is started for. `attempt` counts the sends of
+ * the push, ie the join attempts of a channel.
+ */
+export type SpanInfo = {
+  kind: SpanKind;
+  topic: string;
+  event: string;
+  ref: string | null;
+  joinRef: string | null;
+  attempt: number;
+};
+
+/**
+ * A span opened for a push. `traceparent` is the W3C trace context of the
+ * span, injected into the pushed payload when set.
+ */
+export interface Span {
+  traceparent?: string | null;
+  end(status: PushStatus, response?: unknown): void;
+}
+
+export interface Tracer {
+  startSpan(info: SpanInfo): Span | null | undefined;
+}
+
+/**
+ * - `tracer` - starts a span for each push, join and rejoin
+ * - `propagate` - whether to inject `traceparent` into payloads. Defaults to true
+ * - `key` - the payload key `traceparent` is injected under. Defaults to
+ *   `"traceparent"`
+ */
+export type TracingOptions = {
+  tracer: Tracer;
+  propagate?: boolean;
+  key?: string;
+};
+
+let isHex = (value: string, length: number) =>
+  value.length === length && /^[0-9a-f]+$/.test(value) && /[^0]/.test(value);
+
+/**
+ * Formats a W3C `traceparent` header value, ie
+ * `00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01`.
+ *
+ * Throws if `traceId` is not 32 or `spanId` not 16 lowercase hex digits,
+ * or either is all zeros.
+ */
+export let traceparent = (
+  traceId: string,
+  spanId: string,
+  sampled: boolean = true,
+): string => {
+  if (!isHex(traceId, 32) || !isHex(spanId, 16)) {
+    throw new Error(`invalid trace context ${traceId} ${spanId}`);
+  }
+  return `00-${traceId}-${spanId}-${sampled ? "01" : "00"}`;
+};
@@ -8,7 +8,16 @@ import {
 } from "bun:test";
 
 import sinon from "sinon";
-import { Channel, Socket } from "../dist";
+import {
+  AuthError,
+  BufferOverflowError,
+  Channel,
+  PushError,
+  PushTimeoutError,
+  Socket,
+  StorageOutboxAdapter,
+  traceparent,
+} from "../dist";
 
 let channel, socket;
 
@@ -357,6 +366,12 @@ describe("with transport", function () {
         expect(spyOk.calledOnce).toBeTruthy();
       });
 
+      it("resolves awaited join with ok response", async function () {
+        helpers.receiveOk();
+
+        expect(await joinPush).toStrictEqual(response);
+      });
+
       it("triggers receive('ok') callback if ok response already received", function () {
         const spyOk = sinon.spy();
 
@@ -470,6 +485,18 @@ describe("with transport", function () {
         helpers.receiveOk();
       });
 
+      it("rejects awaited join with PushTimeoutError", async function () {
+        let promise = joinPush.promise();
+
+        helpers.receiveTimeout();
+
+        let error = await promise.catch((e) => e);
+        expect(error).toBeInstanceOf(PushTimeoutError);
+        expect(error.topic).toEqual("topic");
+        expect(error.event).toEqual("phx_join");
+        expect(error.timeout).toEqual(defaultTimeout);
+      });
+
       it("schedules rejoinTimer timeout", function () {
         expect(channel.rejoinTimer).toBeTruthy();
 
@@ -486,6 +513,16 @@ describe("with transport", function () {
         response = { chan: "fail" };
       });
 
+      it("rejects awaited join with PushError", async function () {
+        let promise = joinPush.promise();
+
+        helpers.receiveError();
+
+        let error = await promise.catch((e) => e);
+        expect(error).toBeInstanceOf(PushError);
+        expect(error.response).toStrictEqual({ chan: "fail" });
+      });
+
       it("triggers receive('error') callback after error response", function () {
         const spyError = sinon.spy();
 
@@ -981,6 +1018,363 @@ describe("with transport", function () {
         /^tried to push.*before joining/i,
       );
     });
+
+    it("rejects pushes beyond pushBufferLimits with the reject policy", async function () {
+      socket = new Socket("/socket", {
+        timeout: defaultTimeout,
+        pushBufferLimits: { maxMessages: 1, overflow: "reject" },
+      });
+      channel = socket.channel("topic", { one: "two" });
+      channel.join();
+      const errorSpy = sinon.spy();
+
+      channel.push("event", { foo: "bar" });
+      const push = channel.push("event", { foo: "baz" });
+      push.receive("error", errorSpy);
+
+      expect(channel.pushBuffer.length).toEqual(1);
+      expect(errorSpy.calledOnce).toBeTruthy();
+      let error = await push.promise().catch((e) => e);
+      expect(error).toBeInstanceOf(BufferOverflowError);
+      expect(error.usage).toMatchObject({ topic: "topic", messages: 1 });
+    });
+  });
+
+  describe("outbox", function () {
+    let clock, storage;
+
+    class InMemoryStorage {
+      constructor() {
+        this.storage = {};
+      }
+      getItem(keyName) {
+        return this.storage[keyName] || null;
+      }
+      removeItem(keyName) {
+        delete this.storage[keyName];
+      }
+      setItem(keyName, keyValue) {
+        this.storage[keyName] = keyValue;
+      }
+    }
+
+    let buildSocket = (outbox, opts = {}) => {
+      socket = new Socket("/socket", {
+        timeout: defaultTimeout,
+        outbox,
+        ...opts,
+      });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      return sinon.stub(socket, "push");
+    };
+
+    // a tab, whose id is kept in its session across reloads
+    let tabAdapter = (tab = "tab1") => {
+      let session = new InMemoryStorage();
+      session.setItem("phx:outbox:tab", tab);
+      return new StorageOutboxAdapter(storage, "phx:outbox:", session);
+    };
+
+    let pushedEvents = (socketSpy) =>
+      socketSpy.args
+        .map(([msg]) => msg)
+        .filter((msg) => !msg.event.startsWith("phx_"))
+        .map((msg) => [msg.event, msg.payload]);
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      storage = new InMemoryStorage();
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it("replays queued pushes in order once joined", function () {
+      const socketSpy = buildSocket(true);
+      const timeoutSpy = sinon.spy();
+      channel = socket.channel("topic");
+      const joinPush = channel.join();
+
+      channel
+        .push("one", { n: 1 }, defaultTimeout * 4)
+        .receive("timeout", timeoutSpy);
+      channel.push("two", { n: 2 }, defaultTimeout * 4);
+
+      clock.tick(defaultTimeout * 3);
+      expect(timeoutSpy.called).toBeFalse();
+      expect(pushedEvents(socketSpy)).toStrictEqual([]);
+
+      joinPush.trigger("ok", {});
+
+      expect(pushedEvents(socketSpy)).toStrictEqual([
+        ["one", { n: 1 }],
+        ["two", { n: 2 }],
+      ]);
+    });
+
+    it("times out queued pushes after the ttl and drops their entries", function () {
+      const socketSpy = buildSocket({ adapter: tabAdapter(), ttl: 60000 });
+      const timeoutSpy = sinon.spy();
+      channel = socket.channel("topic");
+      const joinPush = channel.join();
+      joinPush.promise().catch(() => {});
+
+      channel.push("one", { n: 1 }, 100).receive("timeout", timeoutSpy);
+      clock.tick(30000);
+      channel.push("two", { n: 2 }, 100);
+
+      expect(timeoutSpy.called).toBeFalse();
+      clock.tick(30000);
+      expect(timeoutSpy.calledOnce).toBeTrue();
+      let stored = JSON.parse(storage.getItem("phx:outbox:tab1:topic"));
+      expect(stored.map(({ event }) => event)).toStrictEqual(["two"]);
+
+      joinPush.trigger("ok", {});
+
+      expect(pushedEvents(socketSpy)).toStrictEqual([["two", { n: 2 }]]);
+    });
+
+    it("applies the push buffer limits to queued pushes", function () {
+      const socketSpy = buildSocket(
+        { adapter: tabAdapter() },
+        { pushBufferLimits: { maxMessages: 1 } },
+      );
+      const timeoutSpy = sinon.spy();
+      channel = socket.channel("topic");
+      const joinPush = channel.join();
+      joinPush.promise().catch(() => {});
+
+      channel.push("one", { n: 1 }, 100).receive("timeout", timeoutSpy);
+      channel.push("two", { n: 2 });
+
+      let stored = JSON.parse(storage.getItem("phx:outbox:tab1:topic"));
+      expect(stored.map(({ event }) => event)).toStrictEqual(["two"]);
+      expect(channel.pushBufferUsage().messages).toEqual(1);
+      clock.tick(100);
+      expect(timeoutSpy.calledOnce).toBeTrue();
+
+      joinPush.trigger("ok", {});
+      expect(pushedEvents(socketSpy)).toStrictEqual([["two", { n: 2 }]]);
+    });
+
+    it("sends pushes whose entries could not be persisted once", function () {
+      const socketSpy = buildSocket({ adapter: tabAdapter() });
+      channel = socket.channel("topic");
+      const joinPush = channel.join();
+      sinon.stub(storage, "setItem").throws(new Error("quota exceeded"));
+      sinon.stub(console, "log");
+
+      channel.push("one", { n: 1 });
+      console.log.restore();
+      storage.setItem.restore();
+      channel.push("two", { n: 2 });
+      joinPush.trigger("ok", {});
+
+      expect(pushedEvents(socketSpy)).toStrictEqual([
+        ["one", { n: 1 }],
+        ["two", { n: 2 }],
+      ]);
+    });
+
+    it("never replays the pushes of another tab", function () {
+      const firstSpy = buildSocket({ adapter: tabAdapter("tab1") });
+      const first = socket.channel("topic");
+      const firstJoin = first.join();
+      first.push("first", { n: 1 });
+
+      const secondSpy = buildSocket({ adapter: tabAdapter("tab2") });
+      const second = socket.channel("topic");
+      const secondJoin = second.join();
+      second.push("second", { n: 2 });
+
+      secondJoin.trigger("ok", {});
+      firstJoin.trigger("ok", {});
+
+      expect(pushedEvents(firstSpy)).toStrictEqual([["first", { n: 1 }]]);
+      expect(pushedEvents(secondSpy)).toStrictEqual([["second", { n: 2 }]]);
+      expect(storage.storage).toStrictEqual({});
+    });
+
+    it("persists entries to the storage adapter until replayed", function () {
+      buildSocket({ adapter: tabAdapter() });
+      channel = socket.channel("topic");
+      const joinPush = channel.join();
+
+      channel.push("one", { n: 1 });
+
+      let stored = JSON.parse(storage.getItem("phx:outbox:tab1:topic"));
+      expect(stored.length).toEqual(1);
+      expect(stored[0].event).toEqual("one");
+      expect(stored[0].payload).toStrictEqual({ n: 1 });
+
+      joinPush.trigger("ok", {});
+
+      expect(storage.getItem("phx:outbox:tab1:topic")).toBeNull();
+    });
+
+    it("replays entries restored after a reload through beforeReplay", function () {
+      buildSocket({ adapter: tabAdapter() });
+      channel = socket.channel("topic");
+      channel.join();
+      channel.push("stale", { n: 1 });
+      channel.push("fresh", { n: 2 });
+
+      const socketSpy = buildSocket({
+        adapter: tabAdapter(),
+        beforeReplay: (entry) =>
+          entry.event === "stale"
+            ? null
+            : { ...entry, payload: { ...entry.payload, replayed: true } },
+      });
+      channel = socket.channel("topic");
+      channel.join().trigger("ok", {});
+
+      expect(pushedEvents(socketSpy)).toStrictEqual([
+        ["fresh", { n: 2, replayed: true }],
+      ]);
+    });
+  });
+
+  describe("unauthorized join", function () {
+    let refreshAuth;
+
+    beforeEach(function () {
+      refreshAuth = sinon.spy(() => Promise.resolve());
+      socket = new Socket("/socket", { timeout: defaultTimeout, refreshAuth });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      sinon.stub(socket, "push");
+      channel = socket.channel("topic", () => ({ token: "abc" }));
+    });
+
+    it("refreshes credentials once and rejoins", async function () {
+      const errorSpy = sinon.spy();
+      channel.onError(errorSpy);
+      const joinPush = channel.join();
+      joinPush.promise().catch(() => {});
+      const rejoin = sinon.spy(channel, "rejoin");
+
+      joinPush.trigger("error", { reason: "unauthorized" });
+      await socket.authRefresh;
+      await Promise.resolve();
+
+      expect(
+        refreshAuth.calledOnceWith({ reason: "unauthorized" }),
+      ).toBeTruthy();
+      expect(rejoin.calledOnce).toBeTruthy();
+
+      joinPush.trigger("error", { reason: "unauthorized" });
+
+      expect(refreshAuth.calledOnce).toBeTruthy();
+      expect(errorSpy.args[0][0]).toBeInstanceOf(AuthError);
+      expect(errorSpy.args[0][0].reason).toStrictEqual({
+        reason: "unauthorized",
+      });
+      expect(channel.rejoinTimer.isScheduled()).toBeFalse();
+    });
+
+    it("keeps the rejoin timer for other join errors", function () {
+      const joinPush = channel.join();
+      joinPush.promise().catch(() => {});
+
+      joinPush.trigger("error", { reason: "not found" });
+
+      expect(refreshAuth.called).toBeFalse();
+      expect(channel.rejoinTimer.isScheduled()).toBeTrue();
+      channel.rejoinTimer.reset();
+    });
+  });
+
+  describe("tracing", function () {
+    const parent = traceparent(
+      "4bf92f3577b34da6a3ce929d0e0e4736",
+      "00f067aa0ba902b7",
+    );
+    let clock, spans, pushStub;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      spans = [];
+      const tracer = {
+        startSpan: (info) => {
+          const span = { info, traceparent: parent, end: sinon.spy() };
+          spans.push(span);
+          return span;
+        },
+      };
+      socket = new Socket("/socket", {
+        timeout: defaultTimeout,
+        tracing: { tracer, key: "trace" },
+      });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      pushStub = sinon.stub(socket, "push");
+      channel = socket.channel("topic", { one: "two" });
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it("formats W3C trace context", function () {
+      expect(parent).toEqual(
+        "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01",
+      );
+      expect(() => traceparent("0".repeat(32), "00f067aa0ba902b7")).toThrow();
+    });
+
+    it("opens spans for joins and rejoins and injects the trace context", function () {
+      channel.join();
+      channel.trigger("phx_error");
+      channel.rejoin();
+
+      expect(spans.map(({ info }) => info.kind)).toStrictEqual([
+        "join",
+        "rejoin",
+      ]);
+      expect(spans[1].info).toMatchObject({
+        topic: "topic",
+        event: "phx_join",
+        attempt: 2,
+      });
+      expect(spans[0].end.calledOnceWith("error")).toBeTrue();
+      expect(pushStub.args[1][0].payload).toStrictEqual({
+        one: "two",
+        trace: parent,
+      });
+      expect(channel.params()).toStrictEqual({ one: "two" });
+    });
+
+    it("ends push spans with the reply status", function () {
+      channel.join().trigger("ok", {});
+      const ok = channel.push("ok_event", { body: "hi" });
+      const error = channel.push("error_event", {});
+      channel
+        .push("timeout_event", {}, 100)
+        .promise()
+        .catch(() => {});
+      error.promise().catch(() => {});
+
+      ok.trigger("ok", { id: 1 });
+      error.trigger("error", { reason: "invalid" });
+      clock.tick(100);
+
+      expect(
+        spans.map(({ end }) => end.args[0].slice(0, 1)).slice(1),
+      ).toStrictEqual([["ok"], ["error"], ["timeout"]]);
+      expect(spans[1].end.calledWith("ok", { id: 1 })).toBeTrue();
+      expect(pushStub.args[1][0].payload).toStrictEqual({
+        body: "hi",
+        trace: parent,
+      });
+    });
+
+    it("only records spans without propagation", function () {
+      socket.tracing.propagate = false;
+      channel.join();
+
+      expect(spans.length).toEqual(1);
+      expect(pushStub.args[0][0].payload).toStrictEqual({ one: "two" });
+    });
   });
 
   describe("leave", function () {
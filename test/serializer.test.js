@@ -1,6 +1,6 @@
 import { describe, expect, it } from "bun:test";
 
-import { Serializer } from "../dist";
+import { MessagePackSerializer, Serializer } from "../dist";
 
 let exampleMsg = {
   join_ref: "0",
@@ -98,3 +98,116 @@ describe("binary", function () {
     });
   });
 });
+
+describe("MessagePack", function () {
+  let roundTrip = (msg) => {
+    let decoded;
+    MessagePackSerializer.encode(msg, (encoded) =>
+      MessagePackSerializer.decode(encoded, (result) => (decoded = result)),
+    );
+    return decoded;
+  };
+
+  it("encodes messages as a MessagePack array", function () {
+    MessagePackSerializer.encode(exampleMsg, (result) => {
+      expect(Array.from(new Uint8Array(result))).toStrictEqual([
+        0x95, 0xa1, 0x30, 0xa1, 0x31, 0xa1, 0x74, 0xa1, 0x65, 0x81, 0xa3, 0x66,
+        0x6f, 0x6f, 0x01,
+      ]);
+    });
+  });
+
+  it("round trips every width of numbers, strings, arrays and maps", function () {
+    let numbers = [
+      0,
+      127,
+      128,
+      255,
+      256,
+      65535,
+      65536,
+      2 ** 32,
+      2 ** 53 - 1,
+      -1,
+      -32,
+      -33,
+      -128,
+      -129,
+      -32768,
+      -32769,
+      -(2 ** 31),
+      -(2 ** 31) - 1,
+      1.5,
+      -0.25,
+    ];
+    let map = {};
+    for (let i = 0; i < 20; i++) {
+      map[`k${i}`] = i;
+    }
+    let payload = {
+      numbers,
+      strings: ["", "a".repeat(31), "b".repeat(32), "c".repeat(300), "héllo"],
+      array: new Array(20).fill(true),
+      map,
+      nested: { nil: null, no: false, list: [[], {}] },
+    };
+
+    expect(roundTrip({ ...exampleMsg, payload }).payload).toStrictEqual(
+      payload,
+    );
+  });
+
+  it("round trips integers beyond the safe range as numbers", function () {
+    let numbers = [
+      2 ** 53,
+      2 ** 53 + 2,
+      2 ** 63,
+      2 ** 64,
+      2 ** 70,
+      -(2 ** 53) - 2,
+      -(2 ** 63),
+      -(2 ** 64),
+      Number.MAX_VALUE,
+    ];
+    let decoded = roundTrip({ ...exampleMsg, payload: { numbers } });
+
+    expect(decoded.payload.numbers).toStrictEqual(numbers);
+    MessagePackSerializer.encode(
+      { ...exampleMsg, payload: 2 ** 64 },
+      (result) => expect(new Uint8Array(result)[9]).toEqual(0xcb),
+    );
+  });
+
+  it("encodes values as JSON does", function () {
+    let date = new Date(0);
+    let payload = { at: date, skipped: undefined, big: 2n ** 60n };
+
+    expect(roundTrip({ ...exampleMsg, payload }).payload).toStrictEqual({
+      at: date.toJSON(),
+      big: 2n ** 60n,
+    });
+  });
+
+  it("encodes binary payloads and replies natively", function () {
+    let push = roundTrip({ ...exampleMsg, payload: binPayload() });
+    expect(push.payload.constructor).toEqual(ArrayBuffer);
+    expect(Array.from(new Uint8Array(push.payload))).toStrictEqual([1]);
+
+    let reply = roundTrip({
+      ...exampleMsg,
+      event: "phx_reply",
+      payload: { status: "ok", response: new Uint8Array([1, 2, 3]) },
+    });
+    expect(reply.payload.status).toEqual("ok");
+    expect(reply.payload.response.constructor).toEqual(ArrayBuffer);
+    expect(Array.from(new Uint8Array(reply.payload.response))).toStrictEqual([
+      1, 2, 3,
+    ]);
+  });
+
+  it("decodes text frames as JSON", function () {
+    MessagePackSerializer.decode('["0","1","t","e",{"foo":1}]', (result) => {
+      expect(result).toStrictEqual(exampleMsg);
+    });
+  });
+});
@@ -10,8 +10,26 @@ import {
 import sinon from "sinon";
 import { WebSocket, Server as WebSocketServer } from "mock-socket";
 import { encode } from "./serializer";
-import { Socket, LongPoll } from "../dist";
-
+import {
+  AuthError,
+  Backoff,
+  ConnectionError,
+  LongPoll,
+  MessagePackSerializer,
+  MockServer,
+  Presence,
+  PushError,
+  PushTimeoutError,
+  ReplayTransport,
+  ServerSentEvents,
+  Socket,
+  TrafficRecorder,
+  VirtualClock,
+} from "../dist";
+
+// Callbacks of earlier tests, ie of socket.disconnect(), can fire during
+// later ones and act on this shared socket, so describes that await or
+// advance time declare their own
 let socket;
 
 describe("with transports", function () {
@@ -88,20 +106,64 @@ describe("with transports", function () {
     });
 
     describe("longPollFallbackMs", function () {
-      it("falls back to longpoll when set after primary transport failure", function () {
+      it("falls back to longpoll when set after primary transport failure", async function () {
         let mockServer;
+        // the fallback polls with fetch, which must not reach the network
+        const fetchStub = sinon
+          .stub(global, "fetch")
+          .returns(new Promise(() => {}));
         socket = new Socket("/socket", { longPollFallbackMs: 20 });
         let replaceSpy = sinon.spy(socket, "replaceTransport");
         mockServer = new WebSocketServer("wss://example.test/");
-        mockServer.stop(() => {
-          expect(socket.transport).toEqual(WebSocket);
-          socket.onError((reason) => {
-            setTimeout(() => {
-              expect(replaceSpy.calledWith(LongPoll)).toBeTruthy();
-            }, 100);
-          });
+        await new Promise((resolve) => mockServer.stop(resolve));
+        expect(socket.transport).toEqual(WebSocket);
+        await new Promise((resolve) => {
+          socket.onError(() => setTimeout(resolve, 100));
           socket.connect();
         });
+
+        expect(replaceSpy.calledWith(LongPoll)).toBeTruthy();
+        socket.disconnect();
+        fetchStub.restore();
+      });
+
+      it("sends JSON over longpoll when falling back with a binary serializer", function () {
+        const clock = new VirtualClock();
+        const sent = [];
+        class StalledTransport {
+          close() {}
+        }
+        class FakePoll extends LongPoll {
+          poll() {}
+          send(body) {
+            sent.push(body);
+          }
+        }
+        socket = new Socket("wss://example.com/socket", {
+          transport: StalledTransport,
+          fallbackTransport: FakePoll,
+          longPollFallbackMs: 20,
+          serializer: MessagePackSerializer,
+          scheduler: clock,
+        });
+        const msg = {
+          topic: "room:1",
+          event: "new_msg",
+          payload: {},
+          ref: "1",
+        };
+        socket.encode(msg, (data) => expect(data).toBeInstanceOf(ArrayBuffer));
+        socket.connect().catch(() => {});
+        clock.advance(20);
+
+        expect(socket.transport).toBe(FakePoll);
+        socket.conn.readyState = 1;
+        socket.conn.onopen();
+        socket.push(msg);
+        expect(sent).toStrictEqual([
+          JSON.stringify([null, "1", "room:1", "new_msg", {}]),
+        ]);
+        socket.disconnect();
       });
     });
   });
@@ -223,13 +285,68 @@ describe("with transports", function () {
 
       expect(conn).toStrictEqual(socket.conn);
     });
+
+    it("returns a promise resolved on open", async function () {
+      let promise = socket.connect();
+
+      socket.conn.onopen();
+
+      expect(await promise).toBeUndefined();
+    });
+
+    it("returns a promise rejected with ConnectionError on error", async function () {
+      let promise = socket.connect();
+
+      socket.conn.onerror("error");
+
+      let error = await promise.catch((e) => e);
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(error.reason).toEqual("error");
+    });
+
+    it("rejects the promise and removes its callbacks on disconnect", async function () {
+      let callbacks = () =>
+        socket.stateChangeCallbacks.open.length +
+        socket.stateChangeCallbacks.error.length +
+        socket.connectionStateCallbacks.length;
+      let registered = callbacks();
+      let promise = socket.connect();
+
+      socket.disconnect();
+
+      expect(callbacks()).toEqual(registered);
+      let error = await promise.catch((e) => e);
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(error.reason).toEqual("disconnect");
+    });
+
+    it("rejects the promise when the attempt closes without an error", async function () {
+      socket = new Socket("/socket", { reconnectAfterMs: () => 100000 });
+      let promise = socket.connect();
+
+      socket.conn.onclose({ code: 1006 });
+
+      let error = await promise.catch((e) => e);
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(error.reason).toEqual("close");
+      socket.disconnect();
+    });
   });
 
   describe("connect with long poll", function () {
+    let fetchStub;
+
     beforeEach(function () {
+      // polls are made with fetch, which must not reach the network
+      fetchStub = sinon.stub(global, "fetch").returns(new Promise(() => {}));
       socket = new Socket("/socket", { transport: LongPoll });
     });
 
+    afterEach(function () {
+      socket.disconnect();
+      fetchStub.restore();
+    });
+
     it("establishes long poll connection with endpoint", function () {
       socket.connect();
 
@@ -476,6 +593,94 @@ describe("with transports", function () {
       callback();
       expect(spy.calledWith(json)).toBeTruthy();
     });
+
+    it("reports sendBuffer usage", function () {
+      const onUsage = sinon.spy();
+      socket = new Socket("/socket", { sendBufferLimits: { onUsage } });
+      socket.connect();
+      socket.conn.readyState = 0; // connecting
+
+      socket.push(data);
+
+      let usage = { messages: 1, bytes: json.length };
+      expect(socket.sendBufferUsage()).toMatchObject(usage);
+      expect(onUsage.lastCall.args[0]).toMatchObject(usage);
+
+      socket.conn.readyState = 1; // open
+      socket.flushSendBuffer();
+
+      expect(socket.sendBufferUsage()).toMatchObject({ messages: 0, bytes: 0 });
+    });
+
+    it("only encodes buffered data once when no bytes are counted", function () {
+      const encode = sinon.spy((msg, callback) =>
+        callback(JSON.stringify(msg)),
+      );
+      socket = new Socket("/socket", {
+        encode,
+        sendBufferLimits: { maxMessages: 2 },
+      });
+      socket.connect();
+      socket.conn.readyState = 0; // connecting
+
+      socket.push(data);
+      expect(encode.called).toBeFalse();
+      expect(socket.sendBufferUsage()).toMatchObject({ messages: 1, bytes: 0 });
+
+      socket.conn.readyState = 1; // open
+      socket.flushSendBuffer();
+      expect(encode.calledOnce).toBeTrue();
+    });
+
+    it("drops oldest buffered data when maxMessages is reached", function () {
+      socket = new Socket("/socket", { sendBufferLimits: { maxMessages: 2 } });
+      socket.connect();
+      socket.conn.readyState = 0; // connecting
+      const spy = sinon.spy(socket.conn, "send");
+
+      ["one", "two", "three"].forEach((event) =>
+        expect(socket.push({ ...data, event })).toBeTrue(),
+      );
+      socket.conn.readyState = 1; // open
+      socket.flushSendBuffer();
+
+      expect(spy.args.map(([sent]) => JSON.parse(sent)[3])).toStrictEqual([
+        "two",
+        "three",
+      ]);
+    });
+
+    it("drops newest data when maxBytes is reached", function () {
+      socket = new Socket("/socket", {
+        sendBufferLimits: { maxBytes: json.length, overflow: "drop-newest" },
+      });
+      socket.connect();
+      socket.conn.readyState = 0; // connecting
+
+      socket.push(data);
+      expect(socket.push(data)).toBeTrue();
+
+      expect(socket.sendBuffer.length).toEqual(1);
+    });
+
+    it("rejects data with the reject policy", function () {
+      const overflow = sinon.spy(() => "reject");
+      socket = new Socket("/socket", {
+        sendBufferLimits: { maxMessages: 1, overflow },
+      });
+      socket.connect();
+      socket.conn.readyState = 0; // connecting
+
+      expect(socket.push(data)).toBeTrue();
+      expect(socket.push(data)).toBeFalse();
+
+      expect(socket.sendBuffer.length).toEqual(1);
+      expect(overflow.lastCall.args[0]).toMatchObject({
+        topic: "topic",
+        event: "event",
+        usage: { messages: 1 },
+      });
+    });
   });
 
   describe("makeRef", function () {
@@ -676,18 +881,17 @@ describe("with transports", function () {
       expect(spy.calledOnce).toBeTruthy();
     });
 
-    it("schedules reconnectTimer timeout if connection cannot be made after a previous clean disconnect", function () {
+    it("schedules reconnectTimer timeout if connection cannot be made after a previous clean disconnect", async function () {
       const spy = sinon.spy(socket.reconnectTimer, "scheduleTimeout");
 
-      socket.disconnect(() => {
-        socket.connect();
+      await new Promise((resolve) => socket.disconnect(resolve));
+      socket.connect();
 
-        const event = { code: 1001 };
+      const event = { code: 1001 };
 
-        socket.onConnClose(event);
+      socket.onConnClose(event);
 
-        expect(spy.calledOnce).toBeTruthy();
-      });
+      expect(spy.calledOnce).toBeTruthy();
     });
 
     it("triggers onClose callback", function () {
@@ -757,176 +961,2211 @@ describe("with transports", function () {
     });
   });
 
-  describe("onConnError", function () {
-    let mockServer;
-
+  describe("endpoint failover", function () {
+    let socket;
     beforeEach(function () {
-      mockServer = new WebSocketServer("wss://example.com/");
-      socket = new Socket("/socket", {
-        reconnectAfterMs: () => 100000,
-      });
-      socket.connect();
-    });
-
-    afterEach(function () {
-      mockServer.stop();
+      global.happyDOM.setURL("https://example.com/");
     });
 
-    it("triggers onClose callback", function () {
+    it("moves to the next endpoint after repeated failures", function () {
       const spy = sinon.spy();
+      socket = new Socket(["/primary", "/secondary"], {
+        reconnectAfterMs: () => 100000,
+      });
+      socket.onEndpointChange(spy);
 
-      socket.onError(spy);
+      expect(socket.endPoint).toEqual("/primary/websocket");
 
-      socket.onConnError("error");
+      socket.onConnClose({ code: 1006 });
+      expect(socket.endPoint).toEqual("/primary/websocket");
 
-      expect(spy.calledWith("error")).toBeTruthy();
+      socket.onConnClose({ code: 1006 });
+      expect(socket.endPoint).toEqual("/secondary/websocket");
+      expect(socket.endPointURL()).toEqual(
+        "wss://example.com/secondary/websocket?vsn=2.0.0",
+      );
+      expect(spy.calledOnce).toBeTruthy();
+      let [endpoint, previous] = spy.firstCall.args;
+      expect(endpoint.url).toEqual("/secondary");
+      expect(previous).toMatchObject({ url: "/primary", failures: 2 });
+      expect(socket.activeEndpoint().url).toEqual("/secondary");
     });
 
-    it("triggers channel error if joining with open connection", function () {
-      const channel = socket.channel("topic");
-      const spy = sinon.spy(channel, "trigger");
-      channel.join();
+    it("resets failures once connected", function () {
+      socket = new Socket(["/primary", "/secondary"], {
+        endpointMaxFailures: 2,
+        reconnectAfterMs: () => 100000,
+      });
+
+      socket.onConnClose({ code: 1006 });
       socket.onConnOpen();
+      socket.onConnClose({ code: 1006 });
 
-      expect(channel.state).toEqual("joining");
+      expect(socket.endPoint).toEqual("/primary/websocket");
+      expect(socket.endpointHealth()[0].failures).toEqual(1);
+    });
 
-      socket.onConnError("error");
+    it("rotates endpoints with the round-robin strategy", function () {
+      socket = new Socket(["/a", "/b", "/c"], {
+        endpointStrategy: "round-robin",
+        endpointMaxFailures: 1,
+        reconnectAfterMs: () => 100000,
+      });
+      let visited = [socket.activeEndpoint().url];
 
-      expect(spy.calledWith("phx_error")).toBeTruthy();
-    });
+      for (let i = 0; i < 3; i++) {
+        socket.onConnClose({ code: 1006 });
+        visited.push(socket.activeEndpoint().url);
+      }
 
-    it("triggers channel error if joining with no connection", function () {
-      const channel = socket.channel("topic");
-      const spy = sinon.spy(channel, "trigger");
-      channel.join();
+      expect(visited).toStrictEqual(["/a", "/b", "/c", "/a"]);
+    });
 
-      expect(channel.state).toEqual("joining");
+    it("prefers the lowest measured RTT with the lowest-rtt strategy", function () {
+      socket = new Socket(["/a", "/b", "/c"], {
+        endpointStrategy: "lowest-rtt",
+        endpointMaxFailures: 1,
+        reconnectAfterMs: () => 100000,
+      });
+      socket.endpointPool.endpoints[1].rtt = 200;
+      socket.endpointPool.endpoints[2].rtt = 50;
 
-      socket.onConnError("error");
+      socket.onConnClose({ code: 1006 });
 
-      expect(spy.calledWith("phx_error")).toBeTruthy();
+      expect(socket.activeEndpoint().url).toEqual("/c");
     });
 
-    it("triggers channel error if joined", function () {
-      const channel = socket.channel("topic");
-      const spy = sinon.spy(channel, "trigger");
-      channel.join().trigger("ok", {});
-      socket.onConnOpen();
-
-      expect(channel.state).toEqual("joined");
+    it("tries unmeasured endpoints before the last known RTT of the others", function () {
+      socket = new Socket(["/a", "/b", "/c"], {
+        endpointStrategy: "lowest-rtt",
+        endpointMaxFailures: 1,
+        reconnectAfterMs: () => 100000,
+      });
+      let visited = [socket.activeEndpoint().url];
 
-      let connectionsCount = null;
-      let transport = null;
-      socket.onError((error, erroredTransport, conns) => {
-        transport = erroredTransport;
-        connectionsCount = conns;
+      [300, 100, 200].forEach((rtt) => {
+        socket.endpointPool.recordRtt(rtt);
+        socket.onConnClose({ code: 1006 });
+        visited.push(socket.activeEndpoint().url);
       });
 
-      socket.onConnError("error");
+      expect(visited).toStrictEqual(["/a", "/b", "/c", "/b"]);
+      expect(socket.endpointHealth().map(({ rtt }) => rtt)).toStrictEqual([
+        300, 100, 200,
+      ]);
+    });
+  });
 
-      expect(transport).toEqual(WebSocket);
-      expect(connectionsCount).toEqual(1);
-      expect(spy.calledWith("phx_error")).toBeTruthy();
+  describe("backoff policies", function () {
+    let socket;
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
     });
 
-    it("does not trigger channel error after leave", function () {
-      const channel = socket.channel("topic");
-      const spy = sinon.spy(channel, "trigger");
-      channel.join().trigger("ok", {});
-      channel.leave();
-      expect(channel.state).toEqual("closed");
+    afterEach(function () {
+      clock.restore();
+    });
 
-      socket.onConnError("error");
+    it("calculates capped exponential and jittered delays", function () {
+      const opts = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.5 };
+      const exponential = Backoff.exponential(opts);
+      const fullJitter = Backoff.fullJitter(opts);
+      const decorrelated = Backoff.decorrelatedJitter(opts);
 
-      expect(!spy.calledWith("phx_error")).toBeTruthy();
+      expect([1, 2, 3, 4, 5].map((n) => exponential.delay(n))).toStrictEqual([
+        100, 200, 400, 800, 1000,
+      ]);
+      expect([1, 2, 3].map((n) => fullJitter.delay(n))).toStrictEqual([
+        50, 100, 200,
+      ]);
+      expect(decorrelated.delay(1, null)).toEqual(200);
+      expect(decorrelated.delay(2, 200)).toEqual(350);
+      expect(decorrelated.delay(3, 900)).toEqual(1000);
     });
 
-    it("does not trigger channel error if transport replaced with no previous connection", function () {
-      const channel = socket.channel("topic");
-      const spy = sinon.spy(channel, "trigger");
-      channel.join();
+    it("gives up reconnecting after maxAttempts", function () {
+      const onGiveUp = sinon.spy();
+      socket = new Socket("/socket", {
+        reconnectAfterMs: Backoff.exponential({ maxAttempts: 2, onGiveUp }),
+      });
+      const timer = socket.reconnectTimer;
+      const connect = sinon.stub(socket, "connect");
 
-      expect(channel.state).toEqual("joining");
+      timer.scheduleTimeout();
+      clock.tick(1000);
+      timer.scheduleTimeout();
+      clock.tick(2000);
+      timer.scheduleTimeout();
+      clock.tick(100000);
 
-      let connectionsCount = null;
-      class FakeTransport {}
+      expect(connect.callCount).toEqual(2);
+      expect(onGiveUp.calledOnceWith(2)).toBeTruthy();
+    });
 
-      socket.onError((error, transport, conns) => {
-        socket.replaceTransport(FakeTransport);
-        connectionsCount = conns;
+    it("only resets tries after the reset window", function () {
+      socket = new Socket("/socket", {
+        reconnectAfterMs: Backoff.exponential({ resetAfterMs: 5000 }),
       });
-      socket.onConnError("error");
+      const timer = socket.reconnectTimer;
+      sinon.stub(socket, "connect");
 
-      expect(connectionsCount).toEqual(0);
-      expect(socket.transport).toEqual(FakeTransport);
-      expect(spy.calledWith("phx_error")).toBeFalse();
+      timer.scheduleTimeout();
+      clock.tick(1000);
+      timer.reset();
+      timer.scheduleTimeout();
+      expect(timer.previousDelay).toEqual(2000);
+
+      clock.tick(2000);
+      timer.reset();
+      clock.tick(5000);
+      timer.scheduleTimeout();
+      expect(timer.previousDelay).toEqual(1000);
     });
   });
 
-  describe("onConnMessage", function () {
-    let mockServer;
+  describe("connectivity", function () {
+    let socket;
+    let clock;
 
     beforeEach(function () {
-      mockServer = new WebSocketServer("wss://example.com/");
-      socket = new Socket("/socket", {
-        reconnectAfterMs: () => 100000,
-      });
-      socket.connect();
+      clock = sinon.useFakeTimers();
+      socket = new Socket("/socket", { reconnectAfterMs: () => 1000 });
     });
 
     afterEach(function () {
-      mockServer.stop();
+      clock.restore();
     });
 
-    it("parses raw message and triggers channel event", function () {
-      const message = encode({
-        topic: "topic",
-        event: "event",
-        payload: "payload",
-        ref: "ref",
+    it("pauses reconnects while offline and reconnects once online", function () {
+      const spy = sinon.spy();
+      socket.onConnectivityChange(spy);
+      const connect = sinon.stub(socket, "connect");
+
+      socket.onNetworkOffline();
+      socket.onConnClose({ code: 1006 });
+      clock.tick(5000);
+
+      expect(connect.called).toBeFalse();
+      expect(socket.connectivity()).toStrictEqual({
+        online: false,
+        hidden: false,
       });
-      const data = { data: message };
 
-      const targetChannel = socket.channel("topic");
-      const otherChannel = socket.channel("off-topic");
+      socket.onNetworkOnline();
 
-      const targetSpy = sinon.spy(targetChannel, "trigger");
-      const otherSpy = sinon.spy(otherChannel, "trigger");
+      expect(connect.calledOnce).toBeTruthy();
+      expect(spy.args.map(([state]) => state.online)).toStrictEqual([
+        false,
+        true,
+      ]);
+    });
 
-      socket.onConnMessage(data);
+    it("cancels a scheduled reconnect when going offline", function () {
+      const connect = sinon.stub(socket, "connect");
 
-      expect(targetSpy.calledWith("event", "payload", "ref")).toBeTruthy();
-      expect(targetSpy.callCount).toEqual(1);
-      expect(otherSpy.callCount).toEqual(0);
+      socket.onConnClose({ code: 1006 });
+      socket.onNetworkOffline();
+      clock.tick(5000);
+
+      expect(connect.called).toBeFalse();
+
+      socket.onNetworkOnline();
+      expect(connect.calledOnce).toBeTruthy();
     });
 
-    it("triggers onMessage callback", function () {
-      const message = {
-        topic: "topic",
-        event: "event",
-        payload: "payload",
-        ref: "ref",
-      };
-      const spy = sinon.spy();
-      socket.onMessage(spy);
-      socket.onConnMessage({ data: encode(message) });
+    it("stops heartbeats while hidden when hiddenHeartbeatIntervalMs is false", function () {
+      socket = new Socket("/socket", { hiddenHeartbeatIntervalMs: false });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      const spy = sinon.stub(socket, "sendHeartbeat");
 
-      expect(
-        spy.calledWith({
-          topic: "topic",
-          event: "event",
-          payload: "payload",
-          ref: "ref",
-          join_ref: null,
-        }),
-      ).toBeTruthy();
+      socket.onVisibilityChange(true);
+      clock.tick(60000);
+      expect(spy.called).toBeFalse();
+
+      socket.onVisibilityChange(false);
+      clock.tick(30000);
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("slows heartbeats while hidden", function () {
+      socket = new Socket("/socket", { hiddenHeartbeatIntervalMs: 90000 });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      const spy = sinon.stub(socket, "sendHeartbeat");
+
+      socket.onVisibilityChange(true);
+      clock.tick(60000);
+      expect(spy.called).toBeFalse();
+
+      clock.tick(30000);
+      expect(spy.calledOnce).toBeTruthy();
     });
   });
 
-  describe("ping", function () {
+  describe("connection state machine", function () {
+    let socket;
+    let clock, transitions;
+
     beforeEach(function () {
-      socket = new Socket("/socket");
-      socket.connect();
+      clock = sinon.useFakeTimers();
+      transitions = [];
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    const track = (socket) => {
+      sinon.stub(socket, "transportConnect");
+      socket.onStateChange((prev, next, reason) =>
+        transitions.push([prev.name, next, reason]),
+      );
+    };
+
+    it("follows connect, open and reconnect transitions", function () {
+      socket = new Socket("/socket", { reconnectAfterMs: () => 1000 });
+      track(socket);
+
+      socket.connect();
+      socket.onConnOpen();
+      socket.onConnClose({ code: 1006 });
+      clock.tick(1000);
+
+      expect(transitions).toStrictEqual([
+        ["idle", { name: "connecting" }, "connect"],
+        ["connecting", { name: "open" }, "open"],
+        [
+          "open",
+          { name: "reconnecting", attempt: 1, nextDelay: 1000 },
+          "close",
+        ],
+        ["reconnecting", { name: "connecting" }, "reconnect"],
+      ]);
+      expect(socket.state()).toStrictEqual({ name: "connecting" });
+    });
+
+    it("reconnects after a heartbeat timeout", function () {
+      socket = new Socket("/socket", { reconnectAfterMs: () => 1000 });
+      track(socket);
+      socket.connect();
+      socket.onConnOpen();
+      transitions = [];
+
+      socket.pendingHeartbeatRef = "1";
+      socket.heartbeatTimeout();
+
+      expect(transitions).toStrictEqual([
+        [
+          "open",
+          { name: "reconnecting", attempt: 1, nextDelay: null },
+          "heartbeat timeout",
+        ],
+        [
+          "reconnecting",
+          { name: "reconnecting", attempt: 1, nextDelay: 1000 },
+          "heartbeat timeout",
+        ],
+      ]);
+    });
+
+    it("disconnects once reconnecting gives up", function () {
+      socket = new Socket("/socket", {
+        reconnectAfterMs: Backoff.exponential({ maxAttempts: 1 }),
+      });
+      track(socket);
+      socket.connect();
+      socket.onConnClose({ code: 1006 });
+      clock.tick(1000);
+      socket.onConnClose({ code: 1006 });
+
+      expect(
+        transitions.map(([, next, reason]) => [next.name, reason]),
+      ).toStrictEqual([
+        ["connecting", "connect"],
+        ["reconnecting", "close"],
+        ["connecting", "reconnect"],
+        ["disconnected", "reconnect gave up"],
+      ]);
+    });
+
+    it("transitions to disconnected on disconnect", function () {
+      socket = new Socket("/socket");
+      track(socket);
+      socket.connect();
+      socket.onConnOpen();
+      socket.disconnect();
+      socket.disconnect();
+
+      expect(
+        transitions.map(([, next, reason]) => [next.name, reason]),
+      ).toStrictEqual([
+        ["connecting", "connect"],
+        ["open", "open"],
+        ["disconnected", "disconnect"],
+      ]);
+    });
+
+    it("rejects invalid transitions", function () {
+      const logger = sinon.spy();
+      socket = new Socket("/socket", { logger });
+      track(socket);
+
+      socket.onConnOpen();
+
+      expect(transitions).toStrictEqual([]);
+      expect(socket.state()).toStrictEqual({ name: "idle" });
+      expect(
+        logger.calledWith("state", "rejected transition from idle to open"),
+      ).toBeTruthy();
+    });
+  });
+
+  describe("credential refresh", function () {
+    let socket;
+    let urls;
+
+    class FakeTransport {
+      constructor(url) {
+        urls.push(url);
+      }
+      close() {
+        this.readyState = 3;
+      }
+    }
+
+    beforeEach(function () {
+      urls = [];
+    });
+
+    it("awaits an async params provider before connecting", async function () {
+      let token = "abc";
+      socket = new Socket("/socket", {
+        transport: FakeTransport,
+        params: () => Promise.resolve({ token }),
+      });
+
+      socket.connect();
+      socket.connect();
+      expect(urls).toStrictEqual([]);
+
+      await Promise.resolve();
+      expect(urls.length).toEqual(1);
+      expect(urls[0]).toContain("token=abc");
+    });
+
+    it("reports a failing params provider and retries", async function () {
+      const error = new Error("token endpoint down");
+      const errorSpy = sinon.spy();
+      socket = new Socket("/socket", {
+        transport: FakeTransport,
+        params: () => Promise.reject(error),
+      });
+      socket.onError(errorSpy);
+      const connecting = socket.connect();
+
+      await expect(connecting).rejects.toBeInstanceOf(ConnectionError);
+      expect(errorSpy.calledWith(error)).toBeTruthy();
+      expect(socket.state().name).toEqual("reconnecting");
+      socket.disconnect();
+    });
+
+    it("reports a transport that throws after async params", async function () {
+      const error = new Error("bad url");
+      const errorSpy = sinon.spy();
+      socket = new Socket("/socket", {
+        transport: class {
+          constructor() {
+            throw error;
+          }
+        },
+        params: () => Promise.resolve({ token: "abc" }),
+      });
+      socket.onError(errorSpy);
+      const connecting = socket.connect();
+
+      await expect(connecting).rejects.toBeInstanceOf(ConnectionError);
+      expect(errorSpy.calledWith(error)).toBeTruthy();
+      expect(socket.state().name).toEqual("reconnecting");
+      socket.disconnect();
+    });
+
+    it("logs the URL it opened without calling the params provider again", async function () {
+      const params = sinon.spy(() => Promise.resolve({ token: "abc" }));
+      const logger = sinon.spy();
+      socket = new Socket("/socket", {
+        transport: FakeTransport,
+        params,
+        logger,
+      });
+      socket.connect();
+      await Promise.resolve();
+
+      socket.onConnOpen();
+
+      expect(params.calledOnce).toBeTruthy();
+      expect(urls[0]).toContain("token=abc");
+      expect(
+        logger.calledWith(
+          "transport",
+          `FakeTransport connected to ${urls[0].split("?")[0]}`,
+        ),
+      ).toBeTruthy();
+      socket.disconnect();
+    });
+
+    it("refreshes credentials once when the connection is rejected", async function () {
+      let token = "old";
+      const refreshAuth = sinon.spy(async () => {
+        token = "new";
+      });
+      const errorSpy = sinon.spy();
+      socket = new Socket("/socket", {
+        transport: FakeTransport,
+        params: () => ({ token }),
+        refreshAuth,
+      });
+      socket.onError(errorSpy);
+      socket.connect();
+
+      socket.onConnClose({ code: 1008 });
+      await socket.authRefresh;
+      await Promise.resolve();
+
+      expect(refreshAuth.calledOnce).toBeTruthy();
+      expect(urls.map((url) => url.match(/token=(\w+)/)[1])).toStrictEqual([
+        "old",
+        "new",
+      ]);
+
+      socket.onConnClose({ code: 1008 });
+
+      expect(refreshAuth.calledOnce).toBeTruthy();
+      expect(errorSpy.args[0][0]).toBeInstanceOf(AuthError);
+      expect(socket.state().name).toEqual("disconnected");
+    });
+
+    it("reports an AuthError when the refresh fails", async function () {
+      const cause = new Error("session expired");
+      const errorSpy = sinon.spy();
+      socket = new Socket("/socket", {
+        transport: FakeTransport,
+        refreshAuth: () => Promise.reject(cause),
+      });
+      socket.onError(errorSpy);
+      const connecting = socket.connect();
+
+      socket.onConnClose({ code: 1008 });
+
+      const error = await connecting.catch((e) => e);
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.cause).toBe(cause);
+      expect(errorSpy.calledWith(error)).toBeTruthy();
+      expect(urls.length).toEqual(1);
+    });
+  });
+
+  describe("runtimes without browser globals", function () {
+    let socket;
+    let clock, xhr, fetchStub;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      xhr = global.XMLHttpRequest;
+      delete global.XMLHttpRequest;
+      fetchStub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      global.XMLHttpRequest = xhr;
+      fetchStub.restore();
+      clock.restore();
+    });
+
+    it("long polls with fetch when XMLHttpRequest is unavailable", async function () {
+      fetchStub.callsFake(() => new Promise(() => {}));
+      fetchStub
+        .onFirstCall()
+        .resolves(
+          new Response(
+            JSON.stringify({ status: 410, token: "t", messages: [] }),
+          ),
+        );
+      const longpoll = new LongPoll("wss://example.com/socket/websocket");
+      const opened = new Promise((resolve) => (longpoll.onopen = resolve));
+
+      clock.tick(0);
+      await opened;
+
+      const [url, init] = fetchStub.args[0];
+      expect(url).toEqual("https://example.com/socket/longpoll");
+      expect(init.method).toEqual("GET");
+      expect(longpoll.token).toEqual("t");
+
+      longpoll.close();
+      expect(fetchStub.args[1][1].signal.aborted).toBeTrue();
+    });
+
+    it("times out fetch requests", function () {
+      fetchStub.callsFake(() => new Promise(() => {}));
+      const longpoll = new LongPoll("wss://example.com/socket/websocket");
+      const onerror = sinon.spy();
+      longpoll.onerror = onerror;
+      longpoll.timeout = 1000;
+
+      clock.tick(0);
+      clock.tick(1000);
+
+      expect(onerror.calledWith("timeout")).toBeTruthy();
+      expect(fetchStub.args[0][1].signal.aborted).toBeTrue();
+      longpoll.close();
+    });
+
+    it("sends request headers, credentials and params", async function () {
+      fetchStub.callsFake(() => new Promise(() => {}));
+      fetchStub
+        .onFirstCall()
+        .resolves(
+          new Response(
+            JSON.stringify({ status: 410, token: "t", messages: [] }),
+          ),
+        );
+      const longPollRequest = {
+        headers: (method) => ({ "x-csrf-token": "csrf", "x-method": method }),
+        credentials: "include",
+        params: () => ({ tenant: "acme" }),
+      };
+      socket = new Socket("wss://example.com/socket", {
+        transport: LongPoll,
+        longPollRequest,
+      });
+      socket.connect();
+      expect(socket.conn.requestOptions).toBe(longPollRequest);
+      const opened = new Promise((resolve) => socket.onOpen(resolve));
+
+      clock.tick(0);
+      await opened;
+      socket.conn.send("msg");
+      clock.tick(0);
+
+      const [[pollURL, poll], , [postURL, post]] = fetchStub.args;
+      expect(pollURL).toEqual(
+        "https://example.com/socket/longpoll?vsn=2.0.0&tenant=acme",
+      );
+      expect(postURL).toEqual(
+        "https://example.com/socket/longpoll?vsn=2.0.0&tenant=acme&token=t",
+      );
+      expect(poll.headers).toStrictEqual({
+        "x-csrf-token": "csrf",
+        "x-method": "GET",
+        "Content-Type": "application/json",
+      });
+      expect(post.headers["x-method"]).toEqual("POST");
+      expect([poll.credentials, post.credentials]).toStrictEqual([
+        "include",
+        "include",
+      ]);
+      socket.disconnect();
+    });
+
+    it("aborts in-flight polls and batches when closed", function () {
+      fetchStub.callsFake(() => new Promise(() => {}));
+      const longpoll = new LongPoll("wss://example.com/socket/websocket");
+      const onerror = sinon.spy();
+      longpoll.onerror = onerror;
+
+      clock.tick(0);
+      longpoll.send("one");
+      clock.tick(0);
+      const [poll, batch] = fetchStub.args.map(([, init]) => init);
+      expect([poll.method, batch.method]).toStrictEqual(["GET", "POST"]);
+      expect(batch.body).toEqual("one");
+
+      longpoll.close();
+      expect(poll.signal.aborted).toBeTrue();
+      expect(batch.signal.aborted).toBeTrue();
+      clock.tick(longpoll.timeout);
+      expect(onerror.called).toBeFalse();
+    });
+
+    it("times out requests on the transport scheduler", function () {
+      fetchStub.callsFake(() => new Promise(() => {}));
+      const virtualClock = new VirtualClock();
+      const longpoll = new LongPoll(
+        "wss://example.com/socket/websocket",
+        virtualClock,
+      );
+      const onerror = sinon.spy();
+      longpoll.onerror = onerror;
+      longpoll.timeout = 1000;
+
+      virtualClock.advance(999);
+      expect(fetchStub.calledOnce).toBeTrue();
+      expect(onerror.called).toBeFalse();
+      virtualClock.advance(1);
+      expect(onerror.calledWith("timeout")).toBeTrue();
+      expect(fetchStub.args[0][1].signal.aborted).toBeTrue();
+      longpoll.close();
+    });
+  });
+
+  describe("shared connection", function () {
+    let socket;
+    let clock, bus, servers, leader, follower;
+
+    class Bus {
+      constructor() {
+        this.channels = [];
+      }
+      create() {
+        const channel = {
+          onmessage: null,
+          postMessage: (message) =>
+            this.channels
+              .filter((other) => other !== channel)
+              .forEach((other) =>
+                Promise.resolve().then(() =>
+                  other.onmessage({ data: message }),
+                ),
+              ),
+          close: () => {
+            this.channels = this.channels.filter((other) => other !== channel);
+          },
+        };
+        this.channels.push(channel);
+        return channel;
+      }
+    }
+
+    class FakeServer {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        servers.push(this);
+      }
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {
+        this.readyState = 3;
+      }
+      open() {
+        this.readyState = 1;
+        this.onopen();
+      }
+      deliver(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+      sentEvents(event) {
+        return this.sent.filter((message) => message[3] === event);
+      }
+    }
+
+    const buildSocket = (opts = {}) =>
+      new Socket("wss://example.com/socket", {
+        transport: FakeServer,
+        reconnectAfterMs: () => 10,
+        sharedConnection: { broadcastChannel: () => bus.create() },
+        ...opts,
+      });
+
+    const joinBoth = async (topic, server = servers[0]) => {
+      const channels = [leader.channel(topic), follower.channel(topic)];
+      channels.forEach((channel) => channel.join());
+      await clock.tickAsync(10);
+      const [joinRef, ref] = server.sentEvents("phx_join")[0];
+      server.deliver([
+        joinRef,
+        ref,
+        topic,
+        "phx_reply",
+        { status: "ok", response: {} },
+      ]);
+      await clock.tickAsync(10);
+      return channels;
+    };
+
+    beforeEach(async function () {
+      clock = sinon.useFakeTimers();
+      bus = new Bus();
+      servers = [];
+      leader = buildSocket();
+      await clock.tickAsync(250);
+      follower = buildSocket();
+      await clock.tickAsync(10);
+      leader.connect();
+      follower.connect();
+      await clock.tickAsync(10);
+      servers[0].open();
+      await clock.tickAsync(10);
+    });
+
+    afterEach(function () {
+      [leader, follower].forEach((socket) => {
+        socket.disconnect();
+        socket.tabs.close();
+      });
+      clock.restore();
+    });
+
+    it("elects one leader which holds the only connection", function () {
+      expect(leader.isLeader()).toBeTrue();
+      expect(follower.isLeader()).toBeFalse();
+      expect(servers.length).toEqual(1);
+      expect(servers[0].url).toContain("wss://example.com/socket/websocket");
+      expect(leader.isConnected()).toBeTrue();
+      expect(follower.isConnected()).toBeTrue();
+    });
+
+    it("joins a topic once and fans out broadcasts to every tab", async function () {
+      const [leaderChannel, followerChannel] = await joinBoth("room:1");
+      const leaderSpy = sinon.spy();
+      const followerSpy = sinon.spy();
+      leaderChannel.on("new_msg", leaderSpy);
+      followerChannel.on("new_msg", followerSpy);
+
+      servers[0].deliver([null, null, "room:1", "new_msg", { body: "hi" }]);
+      await clock.tickAsync(10);
+
+      expect(servers[0].sentEvents("phx_join").length).toEqual(1);
+      expect(leaderChannel.state).toEqual("joined");
+      expect(followerChannel.state).toEqual("joined");
+      expect(leaderSpy.calledWith({ body: "hi" })).toBeTruthy();
+      expect(followerSpy.calledWith({ body: "hi" })).toBeTruthy();
+    });
+
+    it("forwards pushes and routes replies to the pushing tab", async function () {
+      const [leaderChannel, followerChannel] = await joinBoth("room:1");
+      const replySpy = sinon.spy();
+      const leaderReplySpy = sinon.spy();
+      followerChannel.push("ping", { n: 1 }).receive("ok", replySpy);
+      leaderChannel.push("ping", { n: 2 }).receive("ok", leaderReplySpy);
+      await clock.tickAsync(10);
+
+      const [joinRef] = servers[0].sentEvents("phx_join")[0];
+      const [push] = servers[0].sentEvents("ping");
+      expect(push[0]).toEqual(joinRef);
+      expect(push[4]).toStrictEqual({ n: 1 });
+
+      servers[0].deliver([
+        push[0],
+        push[1],
+        "room:1",
+        "phx_reply",
+        { status: "ok", response: { pong: 1 } },
+      ]);
+      await clock.tickAsync(10);
+
+      expect(replySpy.calledOnceWith({ pong: 1 })).toBeTruthy();
+      expect(leaderReplySpy.called).toBeFalse();
+    });
+
+    it("answers pushes with an error while the connection is not open", async function () {
+      const [, followerChannel] = await joinBoth("room:1");
+      const errorSpy = sinon.spy();
+      servers[0].readyState = 3;
+      followerChannel.push("ping", { n: 1 }).receive("error", errorSpy);
+      await clock.tickAsync(10);
+
+      expect(servers[0].sentEvents("ping").length).toEqual(0);
+      expect(errorSpy.calledOnceWith({ reason: "not connected" })).toBeTruthy();
+    });
+
+    it("falls back inside the leader and keeps the shared transport", async function () {
+      class FallbackServer extends FakeServer {}
+      [leader, follower].forEach((socket) => {
+        socket.disconnect();
+        socket.tabs.close();
+      });
+      bus = new Bus();
+      servers = [];
+      const opts = {
+        longPollFallbackMs: 100,
+        fallbackTransport: FallbackServer,
+      };
+      leader = buildSocket(opts);
+      await clock.tickAsync(250);
+      follower = buildSocket(opts);
+      await clock.tickAsync(10);
+      const transports = [leader.transport, follower.transport];
+      leader.connect();
+      follower.connect();
+      await clock.tickAsync(100);
+
+      expect(servers.length).toEqual(2);
+      expect(servers[0].readyState).toEqual(3);
+      expect(servers[1]).toBeInstanceOf(FallbackServer);
+
+      servers[1].open();
+      await clock.tickAsync(10);
+      expect([leader.transport, follower.transport]).toStrictEqual(transports);
+      expect(leader.isConnected()).toBeTrue();
+      expect(follower.isConnected()).toBeTrue();
+
+      const [, followerChannel] = await joinBoth("room:1", servers[1]);
+      expect(followerChannel.state).toEqual("joined");
+    });
+
+    it("replays presence state to tabs joining later", async function () {
+      const channel = leader.channel("room:1");
+      channel.join();
+      await clock.tickAsync(10);
+      const [joinRef, ref] = servers[0].sentEvents("phx_join")[0];
+      servers[0].deliver([
+        joinRef,
+        ref,
+        "room:1",
+        "phx_reply",
+        { status: "ok", response: {} },
+      ]);
+      const state = { u1: { metas: [{ phx_ref: "1" }] } };
+      servers[0].deliver([joinRef, null, "room:1", "presence_state", state]);
+      servers[0].deliver([
+        joinRef,
+        null,
+        "room:1",
+        "presence_diff",
+        { joins: { u2: { metas: [{ phx_ref: "2" }] } }, leaves: {} },
+      ]);
+
+      const followerChannel = follower.channel("room:1");
+      const presenceSpy = sinon.spy();
+      followerChannel.on("presence_state", presenceSpy);
+      followerChannel.join();
+      await clock.tickAsync(10);
+
+      expect(servers[0].sentEvents("phx_join").length).toEqual(1);
+      expect(followerChannel.state).toEqual("joined");
+      expect(Object.keys(presenceSpy.args[0][0])).toStrictEqual(["u1", "u2"]);
+    });
+
+    it("leaves a topic once the last tab leaves", async function () {
+      const [leaderChannel, followerChannel] = await joinBoth("room:1");
+
+      followerChannel.leave();
+      await clock.tickAsync(10);
+      expect(servers[0].sentEvents("phx_leave").length).toEqual(0);
+      expect(followerChannel.state).toEqual("closed");
+
+      leaderChannel.leave();
+      await clock.tickAsync(10);
+      expect(servers[0].sentEvents("phx_leave").length).toEqual(1);
+    });
+
+    it("hands the connection over when the leader resigns", async function () {
+      leader.tabs.resign();
+      await clock.tickAsync(300);
+
+      expect(follower.isLeader()).toBeTrue();
+      expect(leader.isLeader()).toBeFalse();
+      expect(servers.length).toEqual(2);
+      expect(servers[0].readyState).toEqual(3);
+
+      servers[1].open();
+      await clock.tickAsync(10);
+      expect(follower.isConnected()).toBeTrue();
+      expect(leader.isConnected()).toBeTrue();
+    });
+
+    it("stops taking part in elections while disconnected", async function () {
+      const removed = sinon.spy(window, "removeEventListener");
+      leader.disconnect();
+      await clock.tickAsync(5000);
+
+      expect(follower.isLeader()).toBeTrue();
+      expect(leader.isLeader()).toBeFalse();
+      expect(removed.calledWith("pagehide", leader.tabs.onPageHide)).toBeTrue();
+      expect(removed.calledWith("pageshow", leader.tabs.onPageShow)).toBeTrue();
+      removed.restore();
+
+      leader.connect();
+      await clock.tickAsync(300);
+      servers[1].open();
+      await clock.tickAsync(10);
+      expect(follower.isLeader()).toBeTrue();
+      expect(leader.isConnected()).toBeTrue();
+    });
+
+    it("builds the connection of the leader like its own", async function () {
+      const polls = [];
+      class FakePoll extends LongPoll {
+        poll() {
+          polls.push(this);
+        }
+      }
+      const longPollRequest = { headers: { "x-tenant": "acme" } };
+      const otherBus = new Bus();
+      socket = new Socket("wss://example.com/socket", {
+        transport: FakePoll,
+        longPollRequest,
+        longpollerTimeout: 5000,
+        sharedConnection: { broadcastChannel: () => otherBus.create() },
+      });
+      await clock.tickAsync(250);
+      socket.connect();
+      await clock.tickAsync(10);
+
+      expect(polls.length).toEqual(1);
+      expect(polls[0].requestOptions).toBe(longPollRequest);
+      expect(polls[0].scheduler).toBe(socket.scheduler);
+      expect(polls[0].timeout).toEqual(5000);
+      socket.disconnect();
+    });
+  });
+
+  describe("long poll failures", function () {
+    let socket;
+    let clock, longpoll, fetchStub, requests, onerror, close;
+
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const respond = async (status, headers = {}, body = null) => {
+      requests.pop().resolve(new Response(body, { status, headers }));
+      await flush();
+    };
+
+    beforeEach(function () {
+      requests = [];
+      fetchStub = sinon
+        .stub(global, "fetch")
+        .callsFake(
+          () =>
+            new Promise((resolve, reject) =>
+              requests.push({ resolve, reject }),
+            ),
+        );
+      // bodies of proxies are not JSON, which Ajax.parseJSON logs
+      sinon.stub(console, "log");
+      clock = new VirtualClock();
+      longpoll = new LongPoll("wss://example.com/socket/websocket", clock);
+      close = sinon.spy(longpoll, "close");
+      onerror = sinon.spy();
+      longpoll.onerror = onerror;
+      clock.advance(0);
+    });
+
+    afterEach(function () {
+      console.log.restore();
+      fetchStub.restore();
+    });
+
+    it("rethrows errors of its callbacks outside of the request", async function () {
+      longpoll.onopen = () => {
+        throw new Error("boom");
+      };
+      await respond(
+        200,
+        {},
+        JSON.stringify({ status: 410, token: "t", messages: [] }),
+      );
+
+      expect(() => clock.advance(0)).toThrow("boom");
+    });
+
+    it("retries failed polls with backoff and Retry-After", async function () {
+      await respond(503, { "Retry-After": "3" }, "busy");
+      expect(onerror.lastCall.args[0]).toStrictEqual({
+        status: 503,
+        body: "busy",
+        attempt: 1,
+        retryAfterMs: 3000,
+      });
+      clock.advance(2999);
+      expect(fetchStub.callCount).toBe(1);
+      clock.advance(1);
+      expect(fetchStub.callCount).toBe(2);
+
+      await respond(429, { "Retry-After": "7" });
+      expect(onerror.lastCall.args[0]).toMatchObject({
+        status: 429,
+        attempt: 2,
+        retryAfterMs: 7000,
+      });
+      clock.advance(7000);
+
+      await respond(418);
+      expect(onerror.lastCall.args[0]).toMatchObject({
+        status: 418,
+        attempt: 3,
+        retryAfterMs: 5000,
+      });
+      clock.advance(5000);
+
+      requests.pop().reject(new TypeError("Failed to fetch"));
+      await flush();
+      expect(onerror.lastCall.args[0]).toMatchObject({
+        status: 0,
+        attempt: 4,
+        retryAfterMs: 10000,
+      });
+      clock.advance(10000);
+
+      await respond(
+        200,
+        {},
+        JSON.stringify({ status: 204, token: "t", messages: [] }),
+      );
+      expect(longpoll.failedPolls).toBe(0);
+      expect(fetchStub.callCount).toBe(6);
+      expect(close.called).toBeFalse();
+    });
+
+    it("closes after maxPollRetries failed polls", async function () {
+      longpoll.maxPollRetries = 1;
+      await respond(500, {}, "oops");
+      clock.advance(1000);
+      await respond(500, {}, "oops");
+
+      expect(onerror.lastCall.args[0]).toStrictEqual({
+        status: 500,
+        body: "oops",
+        attempt: 2,
+        retryAfterMs: null,
+      });
+      expect(close.calledOnceWith(1011, "poll failed")).toBeTrue();
+    });
+
+    it("closes with 1008 when a proxy answers 401", async function () {
+      await respond(401, { "Content-Type": "text/html" }, "login required");
+
+      expect(onerror.lastCall.args[0]).toMatchObject({
+        status: 401,
+        body: "login required",
+      });
+      expect(close.calledOnceWith(1008, "unauthorized")).toBeTrue();
+      expect(clock.pending()).toBe(0);
+    });
+  });
+
+  describe("binary long polling", function () {
+    let socket;
+    let clock, ajax;
+
+    const bytes = (buffer) => Array.from(new Uint8Array(buffer));
+    const respond = (call, resp) => call.args[4](resp);
+
+    beforeEach(function () {
+      clock = new VirtualClock();
+      ajax = sinon.stub(LongPoll.prototype, "ajax");
+      socket = new Socket("wss://example.com/socket", {
+        transport: LongPoll,
+        scheduler: clock,
+      });
+      socket.connect();
+      clock.advance(0);
+      respond(ajax.firstCall, { status: 410, token: "t", messages: [] });
+    });
+
+    afterEach(function () {
+      socket.disconnect();
+      ajax.restore();
+    });
+
+    it("sends binary pushes tagged and base64 encoded", function () {
+      socket.push({
+        topic: "t",
+        event: "e",
+        payload: new Uint8Array([1, 2]).buffer,
+        ref: "1",
+        join_ref: "0",
+      });
+      clock.advance(0);
+
+      const [method, , body] = ajax.lastCall.args;
+      expect(method).toEqual("POST");
+      expect(body.startsWith("base64:")).toBeTrue();
+      const frame = atob(body.slice("base64:".length));
+      expect(frame).toEqual("\0\x01\x01\x01\x0101te\x01\x02");
+    });
+
+    it("decodes tagged binary messages into ArrayBuffer payloads", function () {
+      const messages = sinon.spy();
+      socket.onMessage(messages);
+      const broadcast = "\x02\x01\x01te\x01\x02";
+      const json = JSON.stringify([null, null, "t", "j", { ok: true }]);
+      respond(ajax.lastCall, {
+        status: 200,
+        token: "t",
+        messages: ["base64:" + btoa(broadcast), json],
+      });
+      clock.advance(0);
+
+      const [binary, text] = messages.args.map(([msg]) => msg);
+      expect(binary.payload).toBeInstanceOf(ArrayBuffer);
+      expect(bytes(binary.payload)).toStrictEqual([1, 2]);
+      expect([binary.topic, binary.event]).toStrictEqual(["t", "e"]);
+      expect(text.payload).toStrictEqual({ ok: true });
+    });
+  });
+
+  describe("server-sent events", function () {
+    let socket;
+    let clock, sources, eventSource;
+
+    class FakeEventSource {
+      constructor(url) {
+        this.url = url;
+        this.closed = false;
+        sources.push(this);
+      }
+
+      emit(resp) {
+        this.onmessage({ data: JSON.stringify(resp) });
+      }
+
+      close() {
+        this.closed = true;
+      }
+    }
+
+    beforeEach(function () {
+      clock = new VirtualClock();
+      sources = [];
+      eventSource = global.EventSource;
+      global.EventSource = FakeEventSource;
+    });
+
+    afterEach(function () {
+      global.EventSource = eventSource;
+      socket && socket.disconnect();
+    });
+
+    it("receives over the stream and sends in batched POSTs", function () {
+      const sse = new ServerSentEvents(
+        "wss://example.com/socket/websocket",
+        clock,
+      );
+      const ajax = sinon.stub(sse, "ajax");
+      const onopen = sinon.spy();
+      const onmessage = sinon.spy();
+      sse.onopen = onopen;
+      sse.onmessage = onmessage;
+      clock.advance(0);
+
+      expect(sources.map(({ url }) => url)).toStrictEqual([
+        "https://example.com/socket/sse",
+      ]);
+      sources[0].emit({ status: 410, token: "t", messages: [] });
+      sources[0].emit({ status: 200, token: "t", messages: ["a", "b"] });
+      clock.advance(0);
+
+      expect(onopen.calledOnce).toBeTrue();
+      expect(onmessage.args.map(([{ data }]) => data)).toStrictEqual([
+        "a",
+        "b",
+      ]);
+      expect(sources.length).toBe(1);
+
+      sse.send("one");
+      sse.send("two");
+      clock.advance(0);
+      expect(ajax.calledOnce).toBeTrue();
+      expect(ajax.args[0].slice(0, 3)).toStrictEqual([
+        "POST",
+        "application/x-ndjson",
+        "one\ntwo",
+      ]);
+      expect(sse.endpointURL()).toBe("https://example.com/socket/sse?token=t");
+    });
+
+    it("closes the socket connection when the stream errors", function () {
+      socket = new Socket("wss://example.com/socket", {
+        transport: ServerSentEvents,
+        scheduler: clock,
+      });
+      const errors = sinon.spy();
+      socket.onError(errors);
+      socket.connect();
+      clock.advance(0);
+
+      expect(sources[0].url).toMatch(/^https:\/\/example.com\/socket\/sse\?/);
+      sources[0].emit({ status: 410, token: "t", messages: [] });
+      expect(socket.isConnected()).toBeTrue();
+
+      sources[0].onerror({});
+      expect(sources[0].closed).toBeTrue();
+      expect(socket.isConnected()).toBeFalse();
+      expect(errors.calledOnce).toBeTrue();
+    });
+
+    it("closes the socket connection on an event which is not JSON", function () {
+      socket = new Socket("wss://example.com/socket", {
+        transport: ServerSentEvents,
+        scheduler: clock,
+      });
+      const errors = sinon.spy();
+      socket.onError(errors);
+      socket.connect();
+      clock.advance(0);
+      sources[0].emit({ status: 410, token: "t", messages: [] });
+
+      sources[0].onmessage({ data: "<html>" });
+      expect(sources[0].closed).toBeTrue();
+      expect(socket.isConnected()).toBeFalse();
+      expect(errors.calledOnceWith("invalid stream event")).toBeTrue();
+    });
+
+    it("reopens the stream after a failed response", function () {
+      socket = new Socket("wss://example.com/socket", {
+        transport: ServerSentEvents,
+        scheduler: clock,
+        reconnectAfterMs: () => 10,
+      });
+      socket.connect();
+      clock.advance(0);
+      sources[0].emit({ status: 410, token: "t", messages: [] });
+
+      sources[0].emit({ status: 500, token: "t", messages: [] });
+      expect(sources[0].closed).toBeTrue();
+      expect(socket.isConnected()).toBeFalse();
+
+      clock.advance(10);
+      expect(sources.length).toBe(2);
+      expect(sources[1].closed).toBeFalse();
+    });
+
+    it("is selectable as the fallback transport", function () {
+      socket = new Socket("wss://example.com/socket", {
+        longPollFallbackMs: 20,
+        fallbackTransport: ServerSentEvents,
+        scheduler: clock,
+      });
+      const connectWithFallback = sinon.stub(socket, "connectWithFallback");
+      socket.connect();
+
+      expect(
+        connectWithFallback.calledOnceWith(ServerSentEvents, 20),
+      ).toBeTrue();
+    });
+  });
+
+  describe("virtual clock", function () {
+    let socket;
+    let clock, server, channel;
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(async function () {
+      clock = new VirtualClock();
+      server = new MockServer();
+      socket = new Socket("/socket", {
+        transport: server.transport,
+        scheduler: clock,
+        heartbeatIntervalMs: 1000,
+        reconnectAfterMs: () => 100,
+        rejoinAfterMs: () => 100,
+      });
+      channel = socket.channel("room:1");
+      await socket.connect();
+    });
+
+    afterEach(function () {
+      socket.disconnect();
+    });
+
+    it("fires timers in order as time advances", function () {
+      const fired = [];
+      clock.setTimeout(() => fired.push("b"), 20);
+      clock.setTimeout(() => fired.push("a"), 10);
+      const cancelled = clock.setTimeout(() => fired.push("c"), 10);
+      clock.setTimeout(() => {
+        fired.push("d");
+        clock.setTimeout(() => fired.push("e"), 5);
+      }, 20);
+      clock.clearTimeout(cancelled);
+
+      clock.advance(10);
+      expect(fired).toStrictEqual(["a"]);
+      clock.advance(15);
+      expect(fired).toStrictEqual(["a", "b", "d", "e"]);
+      expect(clock.now()).toBe(25);
+      expect(clock.next()).toBeTrue();
+      expect(clock.now()).toBe(1000);
+      const tick = () => clock.setTimeout(tick, 1);
+      tick();
+      expect(() => clock.runAll(10)).toThrow();
+    });
+
+    it("drives heartbeats and reconnects", async function () {
+      server.heartbeats = false;
+      clock.advance(1000);
+      expect(server.messages.map(({ event }) => event)).toStrictEqual([
+        "heartbeat",
+      ]);
+
+      clock.advance(1000);
+      await flush();
+      expect(socket.isConnected()).toBeFalse();
+      expect(socket.stats().heartbeatTimeouts).toBe(1);
+
+      clock.advance(100);
+      await flush();
+      expect(socket.isConnected()).toBeTrue();
+    });
+
+    it("times out pushes and rejoins", async function () {
+      server.onPush("room:1", "ignored", () => null);
+      await channel.join();
+      const push = channel.push("ignored", {}, 1000).promise();
+      push.catch(() => {});
+
+      clock.advance(999);
+      await flush();
+      clock.advance(1);
+      await expect(push).rejects.toBeInstanceOf(PushTimeoutError);
+
+      server.crash("room:1");
+      await flush();
+      expect(channel.isErrored()).toBeTrue();
+      clock.advance(100);
+      await flush();
+      expect(channel.isJoined()).toBeTrue();
+    });
+  });
+
+  describe("mock server", function () {
+    let socket;
+    let clock, server, channel;
+
+    beforeEach(async function () {
+      clock = sinon.useFakeTimers();
+      server = new MockServer();
+      socket = new Socket("/socket", {
+        transport: server.transport,
+        reconnectAfterMs: () => 100,
+        rejoinAfterMs: () => 100,
+      });
+      channel = socket.channel("room:1", { token: "abc" });
+      await socket.connect();
+    });
+
+    afterEach(function () {
+      socket.disconnect();
+      clock.restore();
+    });
+
+    it("accepts joins and replies to pushes", async function () {
+      const join = sinon.spy();
+      server.onJoin("room:*", (params) => {
+        join(params);
+        return { status: "ok", response: { messages: [] } };
+      });
+      server.onPush("room:1", "new_msg", ({ body }) => ({
+        status: "ok",
+        response: { body: body.toUpperCase() },
+      }));
+
+      expect(await channel.join()).toStrictEqual({ messages: [] });
+      expect(await channel.push("new_msg", { body: "hi" })).toStrictEqual({
+        body: "HI",
+      });
+      expect(await channel.push("other", {})).toStrictEqual({});
+
+      expect(join.calledOnceWith({ token: "abc" })).toBeTrue();
+      expect(server.isJoined("room:1")).toBeTrue();
+      expect(server.pushed("room:1")).toStrictEqual([{ body: "hi" }, {}]);
+    });
+
+    it("answers pushes whose handler fails with an error reply", async function () {
+      server.onPush("room:1", "thrown", () => {
+        throw new Error("bad payload");
+      });
+      server.onPush("room:1", "rejected", () =>
+        Promise.reject(new Error("not found")),
+      );
+      await channel.join();
+
+      await expect(channel.push("thrown", {}).promise()).rejects.toMatchObject({
+        response: { reason: "bad payload" },
+      });
+      await expect(
+        channel.push("rejected", {}).promise(),
+      ).rejects.toMatchObject({ response: { reason: "not found" } });
+    });
+
+    it("speaks the serializer of the socket", async function () {
+      socket.disconnect();
+      server = new MockServer({ serializer: MessagePackSerializer });
+      socket = new Socket("/socket", {
+        transport: server.transport,
+        serializer: MessagePackSerializer,
+      });
+      await socket.connect();
+      const frames = sinon.spy(socket.conn, "onmessage");
+      channel = socket.channel("room:1", { token: "abc" });
+      server.onPush("room:1", "new_msg", ({ count }) => ({
+        status: "ok",
+        response: { count: count + 1 },
+      }));
+
+      await channel.join();
+      expect(await channel.push("new_msg", { count: 1 })).toStrictEqual({
+        count: 2,
+      });
+      expect(server.pushed("room:1")).toStrictEqual([{ count: 1 }]);
+      expect(frames.callCount).toEqual(2);
+      frames.args.forEach(([{ data }]) =>
+        expect(data).toBeInstanceOf(ArrayBuffer),
+      );
+    });
+
+    it("rejects joins and times out unanswered pushes", async function () {
+      server.onJoin("room:2", () => ({
+        status: "error",
+        response: { reason: "unauthorized" },
+      }));
+      server.onPush("room:1", "ignored", () => null);
+      const rejected = socket.channel("room:2").join();
+      rejected.promise().catch(() => {});
+      await channel.join();
+
+      const push = channel.push("ignored", {}, 1000).promise();
+      push.catch(() => {});
+      await clock.tickAsync(1000);
+
+      await expect(rejected.promise()).rejects.toBeInstanceOf(PushError);
+      await expect(push).rejects.toBeInstanceOf(PushTimeoutError);
+    });
+
+    it("broadcasts and sends presence to joined clients", async function () {
+      await channel.join();
+      const presence = new Presence(channel);
+      const messages = sinon.spy();
+      channel.on("new_msg", messages);
+
+      server.broadcast("room:1", "new_msg", { body: "hi" });
+      server.presenceState("room:1", { u1: { metas: [{ phx_ref: "1" }] } });
+      server.presenceDiff("room:1", {
+        joins: { u2: { metas: [{ phx_ref: "2" }] } },
+      });
+      await clock.tickAsync(0);
+
+      expect(messages.calledOnceWith({ body: "hi" })).toBeTrue();
+      expect(presence.list((id) => id)).toStrictEqual(["u1", "u2"]);
+    });
+
+    it("simulates crashes and dropped connections", async function () {
+      const errors = sinon.spy();
+      channel.onError(errors);
+      await channel.join();
+
+      server.crash("room:1");
+      await clock.tickAsync(0);
+      expect(errors.calledOnce).toBeTrue();
+      expect(server.isJoined("room:1")).toBeFalse();
+      await clock.tickAsync(100);
+      expect(server.isJoined("room:1")).toBeTrue();
+
+      server.disconnect();
+      await clock.tickAsync(0);
+      expect(socket.isConnected()).toBeFalse();
+      await clock.tickAsync(200);
+      expect(socket.isConnected()).toBeTrue();
+      expect(channel.isJoined()).toBeTrue();
+    });
+  });
+
+  describe("recording and replay", function () {
+    let socket;
+    let clock;
+
+    class FakeTransport {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+      }
+      send() {}
+      close() {
+        this.readyState = 3;
+      }
+    }
+
+    const frame = (event, payload) =>
+      JSON.stringify([null, null, "room:1", event, payload]);
+
+    const recording = {
+      version: 1,
+      startedAt: 0,
+      events: [
+        { at: 0, type: "connect", url: "wss://example.com/socket/websocket" },
+        { at: 100, type: "open" },
+        { at: 500, type: "send", data: frame("ignored", {}) },
+        { at: 1100, type: "receive", data: frame("new_msg", { id: 1 }) },
+        { at: 61100, type: "receive", data: frame("new_msg", { id: 2 }) },
+        { at: 61200, type: "close", code: 1011, reason: "", wasClean: false },
+        {
+          at: 70000,
+          type: "connect",
+          url: "wss://example.com/socket/websocket",
+        },
+        { at: 70100, type: "open" },
+      ],
+    };
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+      socket.disconnect();
+      clock.restore();
+    });
+
+    it("records frames and lifecycle events as JSON", function () {
+      const recorder = new TrafficRecorder();
+      socket = new Socket("wss://example.com/socket", {
+        transport: FakeTransport,
+        recorder,
+        decode: () => {},
+      });
+      socket.connect();
+      clock.tick(100);
+      socket.conn.readyState = 1;
+      socket.conn.onopen();
+      socket.push({ topic: "room:1", event: "new_msg", payload: {}, ref: "2" });
+      socket.conn.onmessage({ data: new Uint8Array([0, 255]).buffer });
+      clock.tick(50);
+      socket.conn.onclose({ code: 1011, reason: "crash", wasClean: false });
+
+      const { version, events } = JSON.parse(JSON.stringify(recorder));
+      expect(version).toEqual(1);
+      expect(events.map(({ at, type }) => [at, type])).toStrictEqual([
+        [0, "connect"],
+        [100, "open"],
+        [100, "send"],
+        [100, "receive"],
+        [150, "close"],
+      ]);
+      expect(events[0].transport).toEqual("FakeTransport");
+      expect(events[2].data).toEqual(
+        JSON.stringify([null, "2", "room:1", "new_msg", {}]),
+      );
+      expect(events[3]).toMatchObject({ data: "AP8=", binary: true });
+      expect(events[4]).toMatchObject({ code: 1011, reason: "crash" });
+    });
+
+    it("records URLs without their params", function () {
+      const recorder = new TrafficRecorder();
+      socket = new Socket("wss://example.com/socket", {
+        transport: FakeTransport,
+        params: { token: "secret" },
+        recorder,
+      });
+      socket.connect();
+
+      expect(socket.conn.url).toContain("token=secret");
+      expect(recorder.events[0].url).toEqual(
+        "wss://example.com/socket/websocket",
+      );
+    });
+
+    it("keeps the last maxEvents events", function () {
+      const recorder = new TrafficRecorder({ maxEvents: 3 });
+      ["connect", "open", "send", "receive", "close"].forEach((type) =>
+        recorder.record(type),
+      );
+
+      expect(recorder.events.map(({ type }) => type)).toStrictEqual([
+        "send",
+        "receive",
+        "close",
+      ]);
+    });
+
+    it("takes the times of events from the scheduler", function () {
+      const virtualClock = new VirtualClock(5000);
+      const recorder = new TrafficRecorder({}, virtualClock);
+      socket = new Socket("wss://example.com/socket", {
+        transport: FakeTransport,
+        scheduler: virtualClock,
+        recorder,
+      });
+      socket.connect();
+      virtualClock.advance(100);
+      socket.conn.readyState = 1;
+      socket.conn.onopen();
+      virtualClock.advance(50);
+      socket.conn.onclose({ code: 1011, reason: "crash", wasClean: false });
+
+      const { startedAt, events } = recorder.toJSON();
+      expect(startedAt).toEqual(5000);
+      expect(events.map(({ at, type }) => [at, type])).toStrictEqual([
+        [0, "connect"],
+        [100, "open"],
+        [150, "close"],
+      ]);
+    });
+
+    it("replays recorded connections with compressed timing", function () {
+      const received = [];
+      socket = new Socket("wss://example.com/socket", {
+        transport: ReplayTransport.from(JSON.stringify(recording), {
+          speed: 10,
+          maxGapMs: 1000,
+        }),
+        heartbeatIntervalMs: 1000000,
+      });
+      socket.onMessage(({ payload }) => received.push(payload.id));
+      socket.connect();
+
+      clock.tick(10);
+      expect(socket.isConnected()).toBeTrue();
+      clock.tick(100);
+      expect(received).toStrictEqual([1]);
+      clock.tick(1000);
+      expect(received).toStrictEqual([1, 2]);
+      expect(socket.isConnected()).toBeTrue();
+
+      clock.tick(10);
+      expect(socket.isConnected()).toBeFalse();
+      clock.tick(1000);
+      expect(socket.isConnected()).toBeTrue();
+      expect(socket.conn.url).toContain("/socket/websocket");
+    });
+
+    it("keeps sent frames and closes once the recording is exhausted", function () {
+      const Transport = ReplayTransport.from({ ...recording, events: [] });
+      const conn = new Transport("wss://example.com/socket/websocket");
+      const onclose = sinon.spy();
+      conn.onclose = onclose;
+      conn.send("frame");
+
+      clock.tick(0);
+      expect(conn.sent).toStrictEqual(["frame"]);
+      expect(
+        onclose.calledOnceWith({ code: 1006, reason: "", wasClean: false }),
+      ).toBeTrue();
+    });
+  });
+
+  describe("stats", function () {
+    let socket;
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      socket = new Socket("/socket", {
+        timeout: 1000,
+        stats: { intervalMs: 5000, latencyBuckets: [50, 100] },
+      });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      socket.conn = { send: sinon.spy() };
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it("counts messages and bytes per topic and event", function () {
+      socket.push({ topic: "room:1", event: "new_msg", payload: {}, ref: "1" });
+      const data = JSON.stringify([null, null, "room:1", "new_msg", {}]);
+      socket.onConnMessage({ data });
+
+      const stats = socket.stats();
+      const sentBytes = socket.conn.send.args[0][0].length;
+      expect(stats.topics["room:1"].new_msg).toStrictEqual({
+        sent: 1,
+        received: 1,
+        bytesSent: sentBytes,
+        bytesReceived: data.length,
+      });
+      expect(stats.sent).toEqual(1);
+      expect(stats.bytesReceived).toEqual(data.length);
+    });
+
+    it("records reply latencies, join errors and push timeouts", function () {
+      const channel = socket.channel("room:1");
+      const join = channel.join();
+      join.promise().catch(() => {});
+      clock.tick(30);
+      join.trigger("error", { reason: "denied" });
+      channel.rejoinTimer.reset();
+      channel.rejoin();
+      channel.joinPush.trigger("ok", {});
+
+      const push = channel.push("slow", {});
+      clock.tick(80);
+      push.trigger("ok", {});
+      channel
+        .push("lost", {})
+        .promise()
+        .catch(() => {});
+      clock.tick(1000);
+
+      const { latency, joinErrors, pushTimeouts } = socket.stats();
+      expect(joinErrors).toEqual(1);
+      expect(pushTimeouts).toEqual(1);
+      expect(latency.join.buckets.map(({ count }) => count)).toStrictEqual([
+        2, 0, 0,
+      ]);
+      expect(latency.push).toMatchObject({ count: 1, sum: 80, max: 80 });
+      expect(latency.push.buckets[1]).toStrictEqual({ le: 100, count: 1 });
+    });
+
+    it("counts reconnect attempts and heartbeat timeouts", function () {
+      socket.pendingHeartbeatRef = "1";
+      sinon.stub(socket, "teardown").callsFake((callback) => callback());
+      sinon.stub(socket, "connect");
+      socket.heartbeatTimeout();
+      clock.tick(10);
+
+      const stats = socket.stats();
+      expect(stats.heartbeatTimeouts).toEqual(1);
+      expect(stats.reconnectAttempts).toEqual(1);
+
+      socket.resetStats();
+      expect(socket.stats().heartbeatTimeouts).toEqual(0);
+    });
+
+    it("sends periodic snapshots until the callback is removed", function () {
+      const spy = sinon.spy();
+      const ref = socket.onStats(spy);
+
+      clock.tick(10000);
+      expect(spy.callCount).toEqual(2);
+      expect(spy.args[0][0].since).toEqual(0);
+
+      socket.off([ref]);
+      clock.tick(10000);
+      expect(spy.callCount).toEqual(2);
+      expect(socket.statsTimer).toBeNull();
+    });
+  });
+
+  describe("structured logger", function () {
+    let socket;
+    let records;
+
+    beforeEach(function () {
+      records = [];
+      socket = new Socket("/socket", {
+        logger: {
+          handler: (record) => records.push(record),
+          level: "info",
+          levels: { push: "debug", receive: "off" },
+          redact: ["token"],
+        },
+      });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      socket.conn = { send: sinon.spy() };
+    });
+
+    it("logs records with topic, event, refs and redacted payloads", function () {
+      socket.push({
+        topic: "room:1",
+        event: "new_msg",
+        payload: { body: "hi", auth: { Token: "secret" } },
+        ref: "2",
+        join_ref: "1",
+      });
+
+      expect(records.length).toEqual(1);
+      const [record] = records;
+      expect(record).toMatchObject({
+        level: "debug",
+        category: "push",
+        message: "room:1 new_msg (1, 2)",
+        topic: "room:1",
+        event: "new_msg",
+        ref: "2",
+        joinRef: "1",
+        data: { body: "hi", auth: { Token: "[REDACTED]" } },
+      });
+      expect(typeof record.time).toEqual("number");
+    });
+
+    it("does not mutate the logged payload", function () {
+      const payload = { token: "secret" };
+      socket.push({ topic: "room:1", event: "new_msg", payload, ref: "2" });
+
+      expect(payload.token).toEqual("secret");
+      expect(socket.conn.send.args[0][0]).toContain("secret");
+    });
+
+    it("filters records by the level of their category", function () {
+      socket.onConnMessage({
+        data: JSON.stringify([null, null, "room:1", "new_msg", {}]),
+      });
+      socket.log("transport", "ignored");
+      socket.log("transport", "kept", undefined, { level: "warn" });
+
+      expect(records.map(({ message }) => message)).toStrictEqual(["kept"]);
+      expect(socket.hasLogger("receive", "error")).toBeFalse();
+      expect(socket.hasLogger("transport", "info")).toBeTrue();
+    });
+
+    it("never logs the params of the endpoint URL", function () {
+      const logger = sinon.spy();
+      const handler = (record) => records.push(record);
+      [logger, { handler }].forEach((logger) => {
+        socket = new Socket("wss://example.com/socket", {
+          params: { token: "secret" },
+          logger,
+        });
+        socket.connURL = socket.endPointURL();
+        socket.onConnOpen();
+        socket.disconnect();
+      });
+
+      const logged = JSON.stringify([logger.args, records]);
+      expect(socket.connURL).toContain("secret");
+      expect(logged).toContain(
+        "connected to wss://example.com/socket/websocket",
+      );
+      expect(logged).not.toContain("secret");
+    });
+
+    it("logs presence events", function () {
+      const channel = socket.channel("room:1");
+      new Presence(channel);
+      socket.logger.levels.presence = "debug";
+
+      channel.trigger("presence_state", { u1: { metas: [{ token: "t" }] } });
+
+      expect(records[0]).toMatchObject({
+        category: "presence",
+        event: "presence_state",
+        topic: "room:1",
+        data: { u1: { metas: [{ token: "[REDACTED]" }] } },
+      });
+    });
+  });
+
+  describe("middleware", function () {
+    let socket;
+    beforeEach(function () {
+      socket = new Socket("/socket");
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      socket.conn = { send: sinon.spy() };
+    });
+
+    const sent = () => socket.conn.send.args.map(([data]) => JSON.parse(data));
+
+    it("runs outbound middleware in order before encoding", function () {
+      socket.useOutbound((msg, next) =>
+        next({ ...msg, payload: { ...msg.payload, order: ["first"] } }),
+      );
+      socket.useOutbound((msg, next) =>
+        next({
+          ...msg,
+          payload: { order: [...msg.payload.order, "second"] },
+        }),
+      );
+
+      socket.push({ topic: "topic", event: "event", payload: {}, ref: "1" });
+
+      expect(sent()).toStrictEqual([
+        [null, "1", "topic", "event", { order: ["first", "second"] }],
+      ]);
+    });
+
+    it("drops and delays outbound messages", function () {
+      let delayed = [];
+      socket.useOutbound((msg, next) => msg.event !== "secret" && next(msg));
+      socket.useOutbound((msg, next) => delayed.push(() => next(msg)));
+
+      expect(
+        socket.push({ topic: "topic", event: "secret", payload: {} }),
+      ).toBeTrue();
+      socket.push({ topic: "topic", event: "later", payload: {} });
+      expect(socket.conn.send.called).toBeFalse();
+
+      delayed.forEach((send) => send());
+      expect(sent().map((msg) => msg[3])).toStrictEqual(["later"]);
+    });
+
+    it("runs inbound middleware before dispatching to channels", function () {
+      const channel = socket.channel("topic");
+      const trigger = sinon.spy(channel, "trigger");
+      const onMessage = sinon.spy();
+      socket.onMessage(onMessage);
+      socket.useInbound((msg, next) =>
+        msg.event === "hidden"
+          ? null
+          : next({ ...msg, payload: { redacted: true } }),
+      );
+
+      ["hidden", "shown"].forEach((event) =>
+        socket.onConnMessage({
+          data: JSON.stringify([null, null, "topic", event, { token: "t" }]),
+        }),
+      );
+
+      expect(trigger.args).toStrictEqual([
+        ["shown", { redacted: true }, null, null],
+      ]);
+      expect(onMessage.calledOnce).toBeTrue();
+    });
+
+    it("removes middleware with off", function () {
+      const ref = socket.useOutbound(() => {});
+      socket.off([ref]);
+
+      socket.push({ topic: "topic", event: "event", payload: {} });
+
+      expect(socket.conn.send.calledOnce).toBeTrue();
+    });
+  });
+
+  describe("connection quality", function () {
+    let socket;
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      socket = new Socket("/socket", {
+        heartbeatIntervalMs: 10000,
+        quality: { degradedRttMs: 100, poorRttMs: 1000, historySize: 3 },
+      });
+      sinon.stub(socket, "isConnected").callsFake(() => true);
+      sinon.stub(socket, "push");
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    const replyToHeartbeat = (afterMs) => {
+      clock.tick(afterMs);
+      socket.onConnMessage({
+        data: JSON.stringify([
+          null,
+          socket.pendingHeartbeatRef,
+          "phoenix",
+          "phx_reply",
+          { status: "ok", response: {} },
+        ]),
+      });
+    };
+
+    it("keeps a rolling history of heartbeat round trips", function () {
+      [10, 30, 20, 40].forEach((rtt) => {
+        socket.sendHeartbeat();
+        replyToHeartbeat(rtt);
+      });
+
+      const quality = socket.connectionQuality();
+      expect(quality.samples).toStrictEqual([30, 20, 40]);
+      expect(quality.rtt).toEqual(40);
+      expect(quality.averageRtt).toEqual(30);
+      expect(quality.jitter).toEqual(15);
+      expect(quality.level).toEqual("good");
+    });
+
+    it("reports poor quality before the heartbeat timeout", function () {
+      const spy = sinon.spy();
+      socket.onQualityChange(spy);
+      const timeout = sinon.stub(socket, "heartbeatTimeout");
+
+      socket.sendHeartbeat();
+      clock.tick(5000);
+
+      expect(spy.calledOnce).toBeTruthy();
+      const [snapshot, previous] = spy.args[0];
+      expect(snapshot.level).toEqual("poor");
+      expect(snapshot.overdue).toBeTrue();
+      expect(previous).toEqual("good");
+      expect(timeout.called).toBeFalse();
+    });
+
+    it("counts late heartbeats as missed", function () {
+      socket.sendHeartbeat();
+      replyToHeartbeat(6000);
+
+      expect(socket.connectionQuality()).toMatchObject({
+        level: "poor",
+        missedHeartbeats: 1,
+        overdue: false,
+      });
+    });
+
+    it("classifies slow round trips as degraded and resets on reconnect", function () {
+      const spy = sinon.spy();
+      socket.onQualityChange(spy);
+
+      socket.sendHeartbeat();
+      replyToHeartbeat(200);
+      expect(socket.connectionQuality().level).toEqual("degraded");
+
+      socket.onConnOpen();
+      expect(socket.connectionQuality().level).toEqual("good");
+      expect(socket.connectionQuality().samples).toStrictEqual([]);
+      expect(spy.args.map(([snapshot]) => snapshot.level)).toStrictEqual([
+        "degraded",
+        "good",
+      ]);
+    });
+  });
+
+  describe("onConnError", function () {
+    let mockServer;
+
+    beforeEach(function () {
+      mockServer = new WebSocketServer("wss://example.com/");
+      socket = new Socket("/socket", {
+        reconnectAfterMs: () => 100000,
+      });
+      socket.connect();
+    });
+
+    afterEach(function () {
+      mockServer.stop();
+    });
+
+    it("triggers onClose callback", function () {
+      const spy = sinon.spy();
+
+      socket.onError(spy);
+
+      socket.onConnError("error");
+
+      expect(spy.calledWith("error")).toBeTruthy();
+    });
+
+    it("triggers channel error if joining with open connection", function () {
+      const channel = socket.channel("topic");
+      const spy = sinon.spy(channel, "trigger");
+      channel.join();
+      socket.onConnOpen();
+
+      expect(channel.state).toEqual("joining");
+
+      socket.onConnError("error");
+
+      expect(spy.calledWith("phx_error")).toBeTruthy();
+    });
+
+    it("triggers channel error if joining with no connection", function () {
+      const channel = socket.channel("topic");
+      const spy = sinon.spy(channel, "trigger");
+      channel.join();
+
+      expect(channel.state).toEqual("joining");
+
+      socket.onConnError("error");
+
+      expect(spy.calledWith("phx_error")).toBeTruthy();
+    });
+
+    it("triggers channel error if joined", function () {
+      const channel = socket.channel("topic");
+      const spy = sinon.spy(channel, "trigger");
+      channel.join().trigger("ok", {});
+      socket.onConnOpen();
+
+      expect(channel.state).toEqual("joined");
+
+      let connectionsCount = null;
+      let transport = null;
+      socket.onError((error, erroredTransport, conns) => {
+        transport = erroredTransport;
+        connectionsCount = conns;
+      });
+
+      socket.onConnError("error");
+
+      expect(transport).toEqual(WebSocket);
+      expect(connectionsCount).toEqual(1);
+      expect(spy.calledWith("phx_error")).toBeTruthy();
+    });
+
+    it("does not trigger channel error after leave", function () {
+      const channel = socket.channel("topic");
+      const spy = sinon.spy(channel, "trigger");
+      channel.join().trigger("ok", {});
+      channel.leave();
+      expect(channel.state).toEqual("closed");
+
+      socket.onConnError("error");
+
+      expect(!spy.calledWith("phx_error")).toBeTruthy();
+    });
+
+    it("does not trigger channel error if transport replaced with no previous connection", function () {
+      const channel = socket.channel("topic");
+      const spy = sinon.spy(channel, "trigger");
+      channel.join();
+
+      expect(channel.state).toEqual("joining");
+
+      let connectionsCount = null;
+      class FakeTransport {}
+
+      socket.onError((error, transport, conns) => {
+        socket.replaceTransport(FakeTransport);
+        connectionsCount = conns;
+      });
+      socket.onConnError("error");
+
+      expect(connectionsCount).toEqual(0);
+      expect(socket.transport).toEqual(FakeTransport);
+      expect(spy.calledWith("phx_error")).toBeFalse();
+    });
+  });
+
+  describe("onConnMessage", function () {
+    let mockServer;
+
+    beforeEach(function () {
+      mockServer = new WebSocketServer("wss://example.com/");
+      socket = new Socket("/socket", {
+        reconnectAfterMs: () => 100000,
+      });
+      socket.connect();
+    });
+
+    afterEach(function () {
+      mockServer.stop();
+    });
+
+    it("parses raw message and triggers channel event", function () {
+      const message = encode({
+        topic: "topic",
+        event: "event",
+        payload: "payload",
+        ref: "ref",
+      });
+      const data = { data: message };
+
+      const targetChannel = socket.channel("topic");
+      const otherChannel = socket.channel("off-topic");
+
+      const targetSpy = sinon.spy(targetChannel, "trigger");
+      const otherSpy = sinon.spy(otherChannel, "trigger");
+
+      socket.onConnMessage(data);
+
+      expect(targetSpy.calledWith("event", "payload", "ref")).toBeTruthy();
+      expect(targetSpy.callCount).toEqual(1);
+      expect(otherSpy.callCount).toEqual(0);
+    });
+
+    it("triggers onMessage callback", function () {
+      const message = {
+        topic: "topic",
+        event: "event",
+        payload: "payload",
+        ref: "ref",
+      };
+      const spy = sinon.spy();
+      socket.onMessage(spy);
+      socket.onConnMessage({ data: encode(message) });
+
+      expect(
+        spy.calledWith({
+          topic: "topic",
+          event: "event",
+          payload: "payload",
+          ref: "ref",
+          join_ref: null,
+        }),
+      ).toBeTruthy();
+    });
+  });
+
+  describe("ping", function () {
+    beforeEach(function () {
+      socket = new Socket("/socket");
+      socket.connect();
     });
 
     it("pushes when connected", function () {
@@ -984,6 +3223,31 @@ describe("with transports", function () {
       });
     });
 
+    it("encodes and decodes with opts.serializer", function () {
+      let decoder = (payload, callback) => callback("decode works");
+      socket = new Socket("/socket", {
+        serializer: MessagePackSerializer,
+        decode: decoder,
+      });
+      let payload = {
+        topic: "topic",
+        ref: "2",
+        join_ref: "1",
+        event: "join",
+        payload: { foo: "bar" },
+      };
+
+      socket.encode(payload, (encoded) => {
+        expect(encoded).toBeInstanceOf(ArrayBuffer);
+        MessagePackSerializer.decode(encoded, (decoded) => {
+          expect(decoded).toStrictEqual(payload);
+        });
+      });
+      socket.decode("", (decoded) => {
+        expect(decoded).toStrictEqual("decode works");
+      });
+    });
+
     it("forces JSON encoding when using LongPoll transport", function () {
       let encoder = (payload, callback) => callback("encode works");
       socket = new Socket("/socket", { transport: LongPoll, encode: encoder });